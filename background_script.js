@@ -4,6 +4,53 @@
 // Constants
 const BROWSER_ACTION_POPUP_HTML = "browser_action/browser_action.html";
 
+// Snooze alerts for the latest version or resume them
+async function applySnooze(mode) {
+  if (mode === "resume") {
+    await snoozeState.clear();
+    return;
+  }
+
+  const { is_latest } = await browser.storage.local.get("is_latest");
+  if (is_latest?.result !== false) {
+    console.warn("background_script applySnooze(): no pending update");
+    return;
+  }
+
+  // Running below the organization minimum version cannot be snoozed
+  const { browserName, version } = await getInstalledBrowser();
+  if (await updateChecker.checkMinimumVersion(browserName, version)) {
+    console.warn("background_script applySnooze(): below minimum version");
+    return;
+  }
+
+  await snoozeState.set(mode, is_latest.latest);
+}
+
+// Forget the announced error once a check succeeds
+async function clearAnnouncedError() {
+  const { announced } = await browser.storage.local.get("announced");
+  if (announced?.error) {
+    delete announced.error;
+    await browser.storage.local.set({ announced });
+  }
+}
+
+// Clear notifications of a kind made obsolete by a later check
+async function clearNotifications(kind) {
+  const { notification_ids } =
+    await browser.storage.local.get("notification_ids");
+  const tracked = { ...notification_ids };
+
+  for (const [id, entry] of Object.entries(tracked)) {
+    if (entry.kind !== kind) continue;
+    await browser.notifications.clear(id);
+    delete tracked[id];
+  }
+
+  await browser.storage.local.set({ notification_ids: tracked });
+}
+
 // Close browser status tab
 async function closeBrowserStatusTab() {
   const popupTab = browser.runtime.getURL(BROWSER_ACTION_POPUP_HTML);
@@ -14,11 +61,137 @@ async function closeBrowserStatusTab() {
   }
 }
 
+// Filter alert channels already announced for the same version or error cause
+async function getDueChannels(kind, id, channels, realertMinutes) {
+  const { announced } = await browser.storage.local.get("announced");
+  const record = announced?.[kind];
+  const now = Date.now();
+
+  // New versions and error causes are always due
+  if (!record || record.id !== id) return channels;
+
+  return channels.filter((channel) => {
+    const timestamp = record.channels?.[channel];
+    return (
+      typeof timestamp !== "number" ||
+      (realertMinutes > 0 && now - timestamp >= realertMinutes * 60 * 1000)
+    );
+  });
+}
+
+// Detect the installed browser, providers may rename the reported browser
+async function getInstalledBrowser() {
+  const browserInfo = await browser.runtime.getBrowserInfo();
+  await releaseProviders.loadCustomSources();
+  const provider = releaseProviders.detect(browserInfo);
+  return {
+    browserName: provider?.name ?? browserInfo.name,
+    version: browserInfo.version,
+    provider: provider,
+  };
+}
+
+// Confirm browser updates and drop the outdated warn state right away
+async function handleBrowserUpdate() {
+  const { provider, ...installed } = await getInstalledBrowser();
+
+  const { installed_version } =
+    await browser.storage.local.get("installed_version");
+  await browser.storage.local.set({ installed_version: installed });
+
+  if (
+    installed_version?.browserName !== installed.browserName ||
+    installed_version.version === installed.version
+  )
+    return;
+
+  if (DEV_MODE)
+    console.debug(
+      `background_script handleBrowserUpdate(): ${installed.browserName} ${installed_version.version} -> ${installed.version}`,
+    );
+
+  const update = {
+    browserName: installed.browserName,
+    from: installed_version.version,
+    to: installed.version,
+    releaseNotes: provider?.releaseNotes?.(installed.version) ?? null,
+    timestamp: Date.now(),
+  };
+  await browser.storage.local.set({ browser_updated: update });
+  await browser.storage.local.remove("is_latest");
+  await snoozeState.clear();
+  await clearNotifications("update");
+  setBrowserStatus("unknown");
+
+  const { alert_type } = await getSettings("alert_type");
+  if (alert_type === "disabled") return;
+
+  const notificationId = await browser.notifications.create(
+    `updated-${update.to}`,
+    {
+      type: "basic",
+      iconUrl: browser.runtime.getURL(ICON_PATHS["ok"]),
+      title: browser.i18n.getMessage("extensionName"),
+      message: browser.i18n.getMessage("notificationContentUpdated", [
+        update.browserName,
+        update.from,
+        update.to,
+      ]),
+    },
+  );
+  await trackNotification(notificationId, {
+    kind: "updated",
+    url: update.releaseNotes,
+  });
+}
+
+// Run overdue checks once the user returns, i.e. after resuming from sleep
+async function handleIdleStateChange(state) {
+  if (state !== "active") return;
+
+  const nextDue = await alarmScheduler.nextDue();
+  if (nextDue === null || nextDue > Date.now()) return;
+
+  console.warn(
+    `background_script handleIdleStateChange(): check due since ${new Date(nextDue)}, running`,
+  );
+  await runChecker(undefined, false, true);
+}
+
+// Open release notes when known, otherwise the status tab
+async function handleNotificationClick(notificationId) {
+  const { notification_ids } =
+    await browser.storage.local.get("notification_ids");
+  const entry = notification_ids?.[notificationId];
+
+  if (DEV_MODE)
+    console.debug(
+      `background_script handleNotificationClick(): ${notificationId}`,
+      entry,
+    );
+
+  if (entry?.url) {
+    await browser.tabs.create({ active: true, url: entry.url });
+  } else {
+    await openBrowserStatusTab();
+  }
+
+  await browser.notifications.clear(notificationId);
+  await untrackNotification(notificationId);
+}
+
 // Initialize, loading settings, set defaults, start background processes
 async function init(status) {
   const defaultSettings = {
     alert_type: "both",
+    badge_type: "versions",
+    escalation_notif_days: String(ESCALATION_NOTIF_DEFAULT_DAYS),
+    escalation_tab_days: String(ESCALATION_TAB_DEFAULT_DAYS),
     alarm_schedule: String(ALARM_DEFAULT_MINUTES),
+    realert_interval: String(REALERT_DEFAULT_MINUTES),
+    stale_max_age: String(STALE_MAX_AGE_DEFAULT_MINUTES),
+    nightly_build_endpoint: NIGHTLY_BUILD_ENDPOINT,
+    nightly_max_age: String(NIGHTLY_MAX_AGE_DEFAULT_DAYS),
   };
 
   const clearStates = ["is_latest", "is_running"];
@@ -44,14 +217,24 @@ async function init(status) {
         );
     }
 
-    // Validate settings
+    // Validate settings, policy values take precedence over sync storage
+    const managedSettings = await getManagedSettings();
     for (const [key, defaultValue] of Object.entries(defaultSettings)) {
       const currentValue = storedSettings[key];
+      if (key in managedSettings) {
+        if (DEV_MODE)
+          console.debug(
+            `background_script init(): ${key} enforced by policy: ${managedSettings[key]}`,
+          );
+        continue;
+      }
 
       const isValid = (async () => {
         switch (key) {
           case "alert_type":
             return ["both", "disabled", "tab", "notif"].includes(currentValue);
+          case "badge_type":
+            return ["versions", "days", "disabled"].includes(currentValue);
           case "alarm_schedule":
             // Reset default if previously disabled due to unsupported status
             if (unsupportedBrowser?.is_unsupported === true) {
@@ -64,6 +247,24 @@ async function init(status) {
               (parseInt(currentValue, 10) === 0 ||
                 parseInt(currentValue, 10) >= ALARM_MINIMUM_MINUTES)
             );
+          case "escalation_notif_days":
+          case "escalation_tab_days":
+          case "realert_interval":
+          case "stale_max_age":
+            return (
+              typeof currentValue === "string" && /^\d+$/.test(currentValue)
+            );
+          case "nightly_build_endpoint":
+            return (
+              typeof currentValue === "string" &&
+              currentValue.startsWith("https://")
+            );
+          case "nightly_max_age":
+            return (
+              typeof currentValue === "string" &&
+              /^\d+$/.test(currentValue) &&
+              parseInt(currentValue, 10) > 0
+            );
           default:
             return false;
         }
@@ -95,6 +296,12 @@ async function init(status) {
     }
 
     closeBrowserStatusTab();
+    await handleBrowserUpdate().catch((error) => {
+      console.error(
+        "background_script init(): failed to handle browser update:",
+        error,
+      );
+    });
     runChecker();
     await alarmScheduler.update();
   } catch (error) {
@@ -133,6 +340,34 @@ async function openBrowserStatusTab() {
   }
 }
 
+// Store announced channels per kind ("update" or "error")
+async function recordAnnouncement(kind, id, channels) {
+  const { announced } = await browser.storage.local.get("announced");
+  const record = announced?.[kind]?.id === id ? announced[kind] : { id };
+  const now = Date.now();
+
+  record.channels = { ...record.channels };
+  channels.forEach((channel) => {
+    record.channels[channel] = now;
+  });
+
+  await browser.storage.local.set({
+    announced: { ...announced, [kind]: record },
+  });
+}
+
+// Resume a check deferred while offline
+async function runDeferredCheck() {
+  const { network_wait } = await browser.storage.local.get("network_wait");
+  if (!network_wait) return;
+
+  if (DEV_MODE)
+    console.debug(
+      `background_script runDeferredCheck(): network restored, scheduled: ${network_wait.scheduled}`,
+    );
+  await runChecker(undefined, false, network_wait.scheduled);
+}
+
 // Run the update check
 async function runChecker(alarmInfo, useCache = false, scheduled = true) {
   if (DEV_MODE) {
@@ -143,31 +378,30 @@ async function runChecker(alarmInfo, useCache = false, scheduled = true) {
       );
   }
 
-  // Compensate for missed alarms, i.e. due to suspend/sleep states
-  let lastChecked = updateChecker.lastChecked;
-  if (useCache) {
-    const [alarmScheduledTime, periodInSeconds] = await browser.alarms
-      .get(ALARM_NAME)
-      .then((alarm) => [alarm.scheduledTime, alarm.periodInMinutes * 60])
-      .catch(() => [null, null]);
-    const now = Date.now();
-    if (periodInSeconds !== null && lastChecked !== null) {
+  // Put off scheduled checks while the user is away, resumed once active
+  if (alarmInfo?.name === ALARM_NAME) {
+    const idleState = await browser.idle
+      .queryState(IDLE_DETECTION_SECONDS)
+      .catch(() => "active");
+    if (idleState !== "active") {
       if (DEV_MODE)
         console.debug(
-          `background_script runChecker(): alarmScheduledTime: ${alarmScheduledTime}, periodInSeconds: ${periodInSeconds}, lastChecked ${lastChecked}, now: ${now}`,
-          new Date(alarmScheduledTime),
-          new Date(lastChecked),
-          new Date(now),
-        );
-      if (alarmScheduledTime <= now && now >= lastChecked + periodInSeconds) {
-        console.warn(
-          "background_script runChecker(): alarm missed, forcing run",
+          `background_script runChecker(): ${idleState}, deferring ${alarmInfo.name} until active`,
         );
-        useCache = false;
-      }
+      return;
     }
   }
 
+  // Compensate for missed alarms, i.e. due to suspend/sleep states
+  let lastChecked = updateChecker.lastChecked;
+  const nextDue = await alarmScheduler.nextDue();
+  if (useCache && nextDue !== null && nextDue <= Date.now()) {
+    console.warn(
+      `background_script runChecker(): check due since ${new Date(nextDue)}, forcing run`,
+    );
+    useCache = false;
+  }
+
   if (DEV_MODE)
     console.debug(
       `background_script runChecker(): useCache: ${useCache}, scheduled: ${scheduled}`,
@@ -183,19 +417,80 @@ async function runChecker(alarmInfo, useCache = false, scheduled = true) {
   const isRunning = await updateChecker.isRunning();
   const browserName = updateChecker.browserName;
   const browserVersion = updateChecker.browserVersion;
+  const buildStale = updateChecker.buildStale;
+  const buildTimestamp = updateChecker.buildTimestamp;
   const latestVersion = updateChecker.latestVersion;
+  const source = updateChecker.source;
+  const advisories = updateChecker.advisories;
   const resultError = updateChecker.error;
   const resultCause = updateChecker.error?.cause;
+  const rateLimitedUntil =
+    resultCause === "rate-limited" ? updateChecker.rateLimitedUntil : null;
+  const staleSince = updateChecker.staleSince;
   lastChecked = updateChecker.lastChecked;
 
-  if (isLatest === true) {
+  // Wait for the network instead of failing, the online event resumes the check
+  const { network_wait } = await browser.storage.local.get("network_wait");
+  let waitingForNetwork = network_wait !== undefined;
+  if (!useCache && isLatest !== undefined) {
+    waitingForNetwork = resultCause === "offline" && navigator.onLine === false;
+    if (waitingForNetwork) {
+      console.warn(
+        "background_script runChecker(): offline, waiting for network",
+      );
+      await browser.storage.local.set({
+        network_wait: {
+          scheduled: scheduled || network_wait?.scheduled === true,
+        },
+      });
+      // Event pages may be suspended when the network returns
+      alarmScheduler.retryAt(Date.now() + NETWORK_RETRY_MINUTES * 60 * 1000);
+    } else if (network_wait) {
+      await browser.storage.local.remove("network_wait");
+      // The network retry is no longer needed once the check succeeds
+      if (!resultError) await alarmScheduler.clearRetry();
+    }
+  }
+
+  // Organization policy, running below the minimum version cannot be snoozed
+  const minimumVersion = await updateChecker.checkMinimumVersion(
+    browserName,
+    browserVersion,
+  );
+
+  // Track how long updates have been pending
+  if (isLatest === true) await pendingUpdates.clear();
+  if (isLatest === false)
+    await pendingUpdates.record(browserName, browserVersion, latestVersion);
+  const pendingSince = isLatest === false ? await pendingUpdates.since() : null;
+
+  // Snoozed updates neither warn nor alert
+  const snoozed =
+    isLatest === false && !minimumVersion
+      ? await snoozeState.active(latestVersion)
+      : null;
+  if (isLatest === true) await snoozeState.clear();
+
+  if (minimumVersion && isRunning !== true) {
+    setBrowserStatus("critical");
+  } else if (waitingForNetwork && isLatest === null) {
+    setBrowserStatus("offline");
+    lastChecked = null;
+  } else if (isLatest === true) {
     setBrowserStatus("ok");
-  } else if (isLatest !== true && resultCause && isRunning !== true) {
+  } else if (
+    isLatest !== true &&
+    resultCause &&
+    !staleSince &&
+    isRunning !== true
+  ) {
     setBrowserStatus("error");
     lastChecked = null;
   } else if (isLatest === null) {
     setBrowserStatus("error");
     lastChecked = null;
+  } else if (isLatest === false && snoozed) {
+    setBrowserStatus("snoozed");
   } else if (isLatest === false) {
     setBrowserStatus("warn");
   } else {
@@ -203,18 +498,53 @@ async function runChecker(alarmInfo, useCache = false, scheduled = true) {
   }
 
   const result = {
+    advisories: advisories,
     useCache: useCache,
     isLatest: isLatest,
     isRunning: isRunning,
     browserName: browserName,
     browserVersion: browserVersion,
+    buildStale: buildStale,
+    buildTimestamp: buildTimestamp,
     lastChecked: lastChecked,
     latestVersion: latestVersion,
+    minimumVersion: minimumVersion,
+    pendingSince: pendingSince,
+    rateLimitedUntil: rateLimitedUntil,
+    snoozed: snoozed,
+    source: source,
+    staleSince: staleSince,
+    waitingForNetwork: waitingForNetwork,
     error: resultError,
     errorCause: resultCause,
   };
 
-  if (scheduled && isLatest !== true) sendNotification(result);
+  // Record completed checks for auditing, stale results count as failures
+  const checkFailed = isLatest === null || staleSince !== null;
+  if (!useCache && isLatest !== undefined && !waitingForNetwork) {
+    await checkHistory.add({
+      timestamp: Date.now(),
+      browserName: browserName,
+      browserVersion: browserVersion,
+      latestVersion: checkFailed ? null : latestVersion,
+      result: checkFailed ? null : isLatest,
+      errorCause: resultCause ?? null,
+      source: checkFailed ? null : source,
+    });
+    await alarmScheduler.recordCheck();
+  }
+
+  await updateBadge(result);
+
+  if (isLatest !== null && !resultError) await clearAnnouncedError();
+  if (isLatest === true) await clearNotifications("update");
+  if (!minimumVersion) await clearNotifications("critical");
+  if (
+    scheduled &&
+    !waitingForNetwork &&
+    (minimumVersion || (isLatest !== true && !snoozed))
+  )
+    sendNotification(result);
 
   return result;
 }
@@ -222,53 +552,110 @@ async function runChecker(alarmInfo, useCache = false, scheduled = true) {
 // Conditionally send a notification
 async function sendNotification(result) {
   const { name, version } = await browser.runtime.getBrowserInfo();
-  let settings = {};
-
-  // Attempt to retrieve configuration from managed storage first (e.g., enterprise policy)
-  try {
-    settings = await browser.storage.managed.get();
-  } catch {
-    if (DEV_MODE)
-      console.debug(
-        "background_script sendNotification(): management not detected",
-      );
-  }
+  const settings = await getSettings([
+    "alert_type",
+    "escalation_notif_days",
+    "escalation_tab_days",
+    "realert_interval",
+  ]);
 
-  // Fallback to sync storage if no valid config found
-  if (!settings || Object.keys(settings).length === 0) {
-    try {
-      settings = await browser.storage.sync.get();
-    } catch (error) {
-      console.warn(
-        "background_script sendNotification(): failed to load sync storage:",
-        error,
-      );
-    }
+  const alertType = settings?.alert_type;
+  const realertMinutes = parseInt(settings?.realert_interval, 10) || 0;
+
+  // Skip channels already alerted for this version or error cause
+  const kind = result.minimumVersion
+    ? "critical"
+    : result.isLatest === false
+      ? "update"
+      : "error";
+  const id = {
+    critical: result.minimumVersion,
+    update: result.latestVersion,
+    error: result.errorCause ?? "error",
+  }[kind];
+  let allowedChannels = [
+    ...(alertType === "tab" || alertType === "both" ? ["tab"] : []),
+    ...(alertType === "notif" || alertType === "both" ? ["notif"] : []),
+  ];
+
+  // Pending updates escalate from the badge to a notification, then a tab
+  if (kind === "update" && result.buildStale !== true) {
+    const pendingDays =
+      typeof result.pendingSince === "number"
+        ? (Date.now() - result.pendingSince) / (24 * 60 * 60 * 1000)
+        : 0;
+    allowedChannels = allowedChannels.filter((channel) => {
+      const thresholdDays =
+        parseInt(settings[`escalation_${channel}_days`], 10) || 0;
+      return pendingDays >= thresholdDays;
+    });
   }
 
-  const alertType = settings?.alert_type;
+  const channels = await getDueChannels(
+    kind,
+    id,
+    allowedChannels,
+    realertMinutes,
+  );
+  if (DEV_MODE)
+    console.debug(
+      `background_script sendNotification(): ${kind} ${id}, due channels: ${channels}`,
+    );
+  if (channels.length === 0) return;
+  await recordAnnouncement(kind, id, channels);
 
   // Open a new tab
-  if (alertType === "tab" || alertType === "both") {
+  if (channels.includes("tab")) {
     await closeBrowserStatusTab();
     await openBrowserStatusTab();
   }
 
   // Send desktop notification
-  if (alertType === "notif" || alertType === "both") {
+  if (channels.includes("notif")) {
     let content = browser.i18n.getMessage("notificationContentUpdate", [
       name,
       version,
       result.latestVersion,
     ]);
     let iconUrl = browser.runtime.getURL(ICON_PATHS["warn"]);
+    let title = browser.i18n.getMessage("extensionName");
+
+    // Nightly version matches but the build is outdated
+    if (result.buildStale === true) {
+      const buildAgeDays = Math.floor(
+        (Date.now() - result.buildTimestamp) / (24 * 60 * 60 * 1000),
+      );
+      content = browser.i18n.getMessage("notificationContentNightlyStale", [
+        name,
+        String(buildAgeDays),
+      ]);
+    }
 
-    // Handle errors during version check
-    if (result.error) {
-      let message = "notificationContentErr";
+    // Summarize security fixes, critical fixes raise the alert
+    if (result.advisories?.total > 0) {
+      content = `${content}\n${formatAdvisorySummary(result.advisories)}`;
+      if (result.advisories.critical > 0) {
+        title = browser.i18n.getMessage("notificationTitleCritical");
+      }
+    }
+
+    // Handle errors during version check, stale results keep the update
+    // alert and only note the failed check
+    if (result.error && typeof result.staleSince === "number") {
+      const { explanation } = describeError(
+        result.errorCause,
+        result.rateLimitedUntil,
+      );
+      content = `${content}\n${browser.i18n.getMessage("staleSince", [
+        new Date(result.staleSince).toLocaleString([], {
+          dateStyle: "short",
+          timeStyle: "short",
+        }),
+        explanation,
+      ])}`;
+    } else if (result.error) {
       if (result.errorCause === "unsupported") {
         // Force notifications and disable alarm for unsupported browsers
-        message = "notificationContentUnsupported";
         console.error("background_script sendNotification(): disabling alarm");
         await browser.storage.sync.set({
           alert_type: "both",
@@ -276,19 +663,119 @@ async function sendNotification(result) {
         });
         await alarmScheduler.update();
       }
-      if (result.errorCause === "timedout") {
-        message = "notificationContentErrTimedOut";
-      }
-      content = browser.i18n.getMessage(message);
+      const { explanation, fix } = describeError(
+        result.errorCause,
+        result.rateLimitedUntil,
+      );
+      content = `${explanation}\n${fix}`;
       iconUrl = browser.runtime.getURL(ICON_PATHS["error"]);
     }
 
-    await browser.notifications.create({
+    // Organization minimum version outranks every other alert
+    if (kind === "critical") {
+      content = browser.i18n.getMessage("notificationContentBelowMinimum", [
+        name,
+        version,
+        result.minimumVersion,
+      ]);
+      iconUrl = browser.runtime.getURL(ICON_PATHS["critical"]);
+      title = browser.i18n.getMessage("notificationTitleBelowMinimum");
+    }
+
+    // Track notification for click handling and later clearing
+    const notificationId = await browser.notifications.create(`${kind}-${id}`, {
       type: "basic",
       iconUrl,
-      title: browser.i18n.getMessage("extensionName"),
+      title,
       message: content,
     });
+    await trackNotification(notificationId, {
+      kind,
+      url:
+        kind !== "error" && typeof result.latestVersion === "string"
+          ? releaseProviders
+              .get(result.browserName)
+              ?.releaseNotes?.(result.latestVersion)
+          : null,
+    });
+  }
+}
+
+// Store notification click targets, non-persistent background pages may unload
+async function trackNotification(id, entry) {
+  const { notification_ids } =
+    await browser.storage.local.get("notification_ids");
+  await browser.storage.local.set({
+    notification_ids: { ...notification_ids, [id]: entry },
+  });
+}
+
+// Forget notifications once clicked or closed
+async function untrackNotification(id) {
+  const { notification_ids } =
+    await browser.storage.local.get("notification_ids");
+  if (notification_ids?.[id]) {
+    delete notification_ids[id];
+    await browser.storage.local.set({ notification_ids });
+  }
+}
+
+// Show how far behind the browser is, "!" for errors
+async function updateBadge(result) {
+  const { badge_type } = await getSettings("badge_type");
+  let status = null;
+  let text = "";
+
+  if (result.isRunning === true) return;
+
+  if (result.minimumVersion) {
+    status = "critical";
+  } else if (result.isLatest === false) {
+    status = result.snoozed ? "snoozed" : "warn";
+  } else if (result.waitingForNetwork && result.isLatest === null) {
+    // Waiting for the network is not an error
+  } else if (
+    result.isLatest === null ||
+    (result.errorCause && !result.staleSince)
+  ) {
+    status = "error";
+    text = "!";
+  }
+
+  if (status && !text && typeof result.latestVersion === "string") {
+    if (badge_type === "days") {
+      const detected = await pendingUpdates.detected(result.latestVersion);
+      const days =
+        typeof detected === "number"
+          ? Math.floor((Date.now() - detected) / (24 * 60 * 60 * 1000))
+          : 0;
+      text = `${days}d`;
+    } else {
+      // Major versions behind, minor updates show as less than one
+      const provider = releaseProviders.get(result.browserName);
+      const normalize = provider?.normalizeVersion ?? ((version) => version);
+      const major = (version) =>
+        parseInt(normalize(version).replace(/^v/, ""), 10);
+      const behind = major(result.latestVersion) - major(result.browserVersion);
+      text = isNaN(behind) ? "" : behind > 0 ? String(behind) : "<1";
+    }
+  }
+
+  if (DEV_MODE)
+    console.debug(
+      `background_script updateBadge(): ${status}, type: ${badge_type}, text: ${text}`,
+    );
+
+  try {
+    await browser.browserAction.setBadgeText({
+      text: badge_type === "disabled" ? "" : text,
+    });
+    if (status)
+      await browser.browserAction.setBadgeBackgroundColor({
+        color: BADGE_COLORS[status],
+      });
+  } catch (error) {
+    console.error("background_script updateBadge(): failed:", error);
   }
 }
 
@@ -302,6 +789,23 @@ browser.browserAction.onClicked.addListener(openBrowserStatusTab);
 // Schedule alarm to poll for updates
 browser.alarms.onAlarm.addListener(runChecker);
 
+// Resume checks deferred while offline
+window.addEventListener("online", runDeferredCheck);
+
+// Resume checks deferred while idle or suspended
+browser.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+browser.idle.onStateChanged.addListener(handleIdleStateChange);
+
+// Refresh the badge when its type changes, including by policy
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (["managed", "sync"].includes(areaName) && changes.badge_type)
+    runChecker(undefined, true, false);
+});
+
+// Notifications
+browser.notifications.onClicked.addListener(handleNotificationClick);
+browser.notifications.onClosed.addListener(untrackNotification);
+
 // Menus
 browser.menus.create({
   id: "open_options",
@@ -310,11 +814,37 @@ browser.menus.create({
   contexts: ["browser_action"],
 });
 
-browser.menus.onClicked.addListener((info) => {
+browser.menus.create({
+  id: "snooze",
+  title: browser.i18n.getMessage("menuSnooze"),
+  icons: { 128: ICON_PATHS["snoozed"] },
+  contexts: ["browser_action"],
+});
+
+["day", "week", "skip", "resume"].forEach((mode) => {
+  browser.menus.create({
+    id: `snooze_${mode}`,
+    parentId: "snooze",
+    title: browser.i18n.getMessage(
+      `snooze${mode[0].toUpperCase()}${mode.slice(1)}`,
+    ),
+    contexts: ["browser_action"],
+  });
+});
+
+browser.menus.onClicked.addListener(async (info) => {
   switch (info.menuItemId) {
     case "open_options":
       browser.runtime.openOptionsPage();
       break;
+    case "snooze_day":
+    case "snooze_week":
+    case "snooze_skip":
+    case "snooze_resume":
+      await applySnooze(info.menuItemId.replace("snooze_", ""));
+      // Refresh status icon from the cached result
+      await runChecker(undefined, true, false);
+      break;
   }
 });
 
@@ -325,16 +855,30 @@ function updateMenuItem(id, title) {
   browser.menus.refresh();
 }
 
-browser.menus.onShown.addListener((info) => {
+browser.menus.onShown.addListener(async (info) => {
   const id = "open_options";
   if (!info.menuIds.includes(id)) {
     return;
   }
   updateMenuItem(id, browser.i18n.getMessage("menuOpenSettings"));
+
+  // Snoozing only applies to pending updates
+  const { is_latest } = await browser.storage.local.get("is_latest");
+  const snoozed = await snoozeState.get();
+  const { browserName, version } = await getInstalledBrowser();
+  const minimumVersion = await updateChecker.checkMinimumVersion(
+    browserName,
+    version,
+  );
+  browser.menus.update("snooze", {
+    enabled: is_latest?.result === false && !minimumVersion,
+  });
+  browser.menus.update("snooze_resume", { enabled: snoozed !== null });
+  browser.menus.refresh();
 });
 
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "runChecker") {
+  if (message.action === "runChecker" || message.action === "snooze") {
     if (DEV_MODE)
       console.debug(
         "background_script runChecker activated by sender:",
@@ -342,13 +886,23 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       );
     async function sendRunCheckResponse(result, sendResponse) {
       const response = {
+        advisories: result.advisories,
         useCache: result.useCache,
         isLatest: result.isLatest,
         isRunning: result.isRunning,
         browserName: result.browserName,
         browserVersion: result.browserVersion,
+        buildStale: result.buildStale,
+        buildTimestamp: result.buildTimestamp,
         lastChecked: result.lastChecked,
         latestVersion: result.latestVersion,
+        minimumVersion: result.minimumVersion,
+        pendingSince: result.pendingSince,
+        rateLimitedUntil: result.rateLimitedUntil,
+        snoozed: result.snoozed,
+        source: result.source,
+        staleSince: result.staleSince,
+        waitingForNetwork: result.waitingForNetwork,
         errorCause: result.errorCause,
       };
       try {
@@ -376,28 +930,46 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     (async () => {
       try {
-        if (!sender.tab) {
+        if (message.action === "snooze") {
+          // Refresh from the cached result after snoozing
+          await applySnooze(message.mode);
+        } else if (!sender.tab) {
           // Close tab if needed
           await closeBrowserStatusTab();
         }
 
+        // Policy may restrict the pop-up to cached results
+        const { disable_manual_refresh } = await getManagedSettings();
+
         // Run checker function
         const result = await runChecker(
           undefined,
-          message.use_cache === true,
+          message.use_cache === true ||
+            message.action === "snooze" ||
+            disable_manual_refresh === true,
           false,
         );
 
         // Send response
         await sendRunCheckResponse(
           {
+            advisories: result.advisories,
             useCache: result.useCache,
             isLatest: result.isLatest,
             isRunning: result.isRunning,
             browserName: result.browserName,
             browserVersion: result.browserVersion,
+            buildStale: result.buildStale,
+            buildTimestamp: result.buildTimestamp,
             lastChecked: result.lastChecked,
             latestVersion: result.latestVersion,
+            minimumVersion: result.minimumVersion,
+            pendingSince: result.pendingSince,
+            rateLimitedUntil: result.rateLimitedUntil,
+            snoozed: result.snoozed,
+            source: result.source,
+            staleSince: result.staleSince,
+            waitingForNetwork: result.waitingForNetwork,
             errorCause: result.errorCause,
           },
           sendResponse,
@@ -406,13 +978,23 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
         console.error("background_script runChecker activation error:", error);
         await sendRunCheckResponse(
           {
+            advisories: null,
             useCache: false,
             isLatest: null,
             isRunning: false,
             browserName: null,
             browserVersion: null,
+            buildStale: null,
+            buildTimestamp: null,
             lastChecked: null,
             latestVersion: null,
+            minimumVersion: null,
+            pendingSince: null,
+            rateLimitedUntil: null,
+            snoozed: null,
+            source: null,
+            staleSince: null,
+            waitingForNetwork: false,
             error: error,
             errorCause: error.cause,
           },
@@ -1,9 +1,98 @@
 // BrowserAction script
 "use strict";
 
+// Constants
+const UPDATED_NOTICE_DURATION = 24 * 60 * 60 * 1000;
+
 // Functions
 const getElement = (id) => document.getElementById(id);
 
+// Generate provider info rows ahead of the common links
+function buildInfoTable(element) {
+  if (!element) return;
+
+  const rows = releaseProviders.list.flatMap((provider) =>
+    provider.infoLinks.map((infoLink) => {
+      const row = document.createElement("tr");
+      row.id = `info_row_${infoLink.id}`;
+      row.classList.add("hidden");
+
+      infoLink.links.forEach((link) => {
+        const cell = document.createElement("td");
+        const anchor = document.createElement("a");
+        anchor.href = link.href;
+        anchor.target = "_blank";
+        anchor.textContent = browser.i18n.getMessage(link.i18nKey);
+        cell.appendChild(anchor);
+        row.appendChild(cell);
+      });
+
+      return row;
+    }),
+  );
+
+  element.prepend(...rows);
+}
+
+// Reduce the check history to version changes and failures, newest first
+function buildHistoryTimeline(entries) {
+  const events = [];
+  const detected = {};
+  let previous = null;
+
+  entries.forEach((entry) => {
+    if (entry.result === null) {
+      // Collapse consecutive failures with the same cause
+      const last = events[events.length - 1];
+      const cause = entry.errorCause ?? "unknown";
+      if (last?.type === "failed" && last.cause === cause) {
+        last.count++;
+        last.timestamp = entry.timestamp;
+      } else {
+        events.push({
+          type: "failed",
+          cause: cause,
+          count: 1,
+          timestamp: entry.timestamp,
+        });
+      }
+      return;
+    }
+
+    // Providers report the latest and installed versions in different forms
+    const provider = releaseProviders.get(entry.browserName);
+    const normalize = provider?.normalizeVersion ?? ((version) => version);
+    const latestVersion = normalize(entry.latestVersion);
+
+    if (!(latestVersion in detected)) {
+      detected[latestVersion] = entry.timestamp;
+      if (previous)
+        events.push({
+          type: "released",
+          version: entry.latestVersion,
+          timestamp: entry.timestamp,
+        });
+    }
+
+    if (previous && entry.browserVersion !== previous.browserVersion) {
+      const since = detected[normalize(entry.browserVersion)];
+      events.push({
+        type: "updated",
+        version: entry.browserVersion,
+        days:
+          typeof since === "number"
+            ? Math.floor((entry.timestamp - since) / (24 * 60 * 60 * 1000))
+            : 0,
+        timestamp: entry.timestamp,
+      });
+    }
+
+    previous = entry;
+  });
+
+  return events.reverse();
+}
+
 function calculateRelativeTime(timestamp) {
   if (typeof timestamp === "number") {
     const now = Date.now();
@@ -40,18 +129,38 @@ function configureInfoDetails(element) {
 }
 
 async function init() {
+  await releaseProviders.loadCustomSources();
+  buildInfoTable(getElement("info_table"));
+
   const cached = await browser.storage.local.get("is_latest");
   const running = await browser.storage.local.get("is_running");
   if (cached.is_latest) {
     updatePage({
       useCache: true,
+      advisories: cached.is_latest.advisories,
       isLatest: cached.is_latest.result,
+      buildStale: cached.is_latest.buildStale,
+      buildTimestamp: cached.is_latest.buildTimestamp,
       isRunning: running.expires === "number" ? true : false,
       latestVersion: cached.is_latest.latest,
       lastChecked: cached.is_latest.timestamp,
+      snoozed: await snoozeState.active(cached.is_latest.latest),
+      source: cached.is_latest.source,
+      staleSince: cached.is_latest.staleSince,
+      errorCause: cached.is_latest.errorCause,
+      rateLimitedUntil: cached.is_latest.rateLimitedUntil,
     });
   }
 
+  await showUpdatedNotice();
+
+  // Policy may disable refreshing from the status image
+  const { disable_manual_refresh } = await getManagedSettings();
+  if (disable_manual_refresh === true)
+    setTextContent(
+      getElement("img_tooltip"),
+      browser.i18n.getMessage("refreshDisabledByPolicy"),
+    );
   showTooltip(getElement("img_tooltip"));
 
   await refreshResult(true);
@@ -93,8 +202,8 @@ function setTextContent(element, text) {
 
 async function showBrowserInfo(browserName, browserVersion, latestVersion) {
   try {
-    const { name, version } = await browser.runtime.getBrowserInfo();
-    const isESR = latestVersion?.includes("esr");
+    const browserInfo = await browser.runtime.getBrowserInfo();
+    const { name, version } = browserInfo;
 
     // Allow override via runChecker for LibreWolf
     if (browserName === null) {
@@ -109,11 +218,26 @@ async function showBrowserInfo(browserName, browserVersion, latestVersion) {
 
     setTextContent(getElement("browser_version"), browserVersion);
 
-    if (SUPPORTED_BROWSERS.includes(browserName)) {
-      showElement(getElement(browserName));
-    }
-    if (isESR) {
-      showElement(getElement("ESR"));
+    // Show info rows for the detected provider
+    const provider =
+      releaseProviders.get(browserName) ?? releaseProviders.detect(browserInfo);
+    provider?.infoLinks.forEach((infoLink) => {
+      if (!infoLink.match || infoLink.match(latestVersion)) {
+        showElement(getElement(`info_row_${infoLink.id}`));
+      }
+    });
+
+    // Show upstream release, the user agent reveals the Gecko version
+    const upstreamVersion = navigator.userAgent.match(/rv:([\d.]+)/)?.[1];
+    if (provider?.upstream && upstreamVersion) {
+      setTextContent(
+        getElement("upstream_info"),
+        browser.i18n.getMessage("upstreamBasedOn", [
+          provider.upstream,
+          upstreamVersion,
+        ]),
+      );
+      showElement(getElement("upstream_info"));
     }
   } catch (error) {
     console.error(
@@ -123,6 +247,108 @@ async function showBrowserInfo(browserName, browserVersion, latestVersion) {
   }
 }
 
+function showAdvisories(advisories) {
+  const summary = getElement("advisory_summary");
+  if (advisories?.total > 0) {
+    setTextContent(summary, formatAdvisorySummary(advisories));
+    summary?.classList.toggle("critical", advisories.critical > 0);
+    showElement(summary);
+  } else {
+    hideElement(summary);
+  }
+}
+
+function showBuildAge(buildTimestamp, buildStale) {
+  const buildAge = getElement("build_age");
+  if (typeof buildTimestamp === "number") {
+    setTextContent(buildAge, calculateRelativeTime(buildTimestamp));
+    buildAge?.classList.toggle("stale", buildStale === true);
+    showElement(getElement("build_age_row"));
+  } else {
+    hideElement(getElement("build_age_row"));
+  }
+}
+
+// Explain the error cause and suggest a fix
+function showErrorCause(errorCause, rateLimitedUntil) {
+  const { explanation, fix } = describeError(errorCause, rateLimitedUntil);
+  setTextContent(getElement("error_status"), explanation);
+  setTextContent(getElement("error_help"), fix);
+  showElement(getElement("error_status"));
+  showElement(getElement("error_help"));
+}
+
+async function showHistory() {
+  const list = getElement("history_list");
+  if (!list) return;
+
+  const events = buildHistoryTimeline(await checkHistory.get());
+  list.replaceChildren(
+    ...events.map((event) => {
+      const item = document.createElement("li");
+      const time = document.createElement("time");
+      time.dateTime = new Date(event.timestamp).toISOString();
+      time.textContent = new Date(event.timestamp).toLocaleString();
+      item.classList.add(`history_${event.type}`);
+      item.append(time, " ");
+
+      switch (event.type) {
+        case "failed":
+          item.append(
+            browser.i18n.getMessage("historyFailed", [
+              event.cause,
+              String(event.count),
+            ]),
+          );
+          break;
+        case "released":
+          item.append(
+            browser.i18n.getMessage("historyReleased", event.version),
+          );
+          break;
+        case "updated":
+          item.append(
+            event.days > 0
+              ? browser.i18n.getMessage("historyUpdatedAfter", [
+                  event.version,
+                  String(event.days),
+                ])
+              : browser.i18n.getMessage("historyUpdated", event.version),
+          );
+          break;
+      }
+
+      return item;
+    }),
+  );
+
+  if (events.length > 0) hideElement(getElement("history_empty"));
+  else showElement(getElement("history_empty"));
+}
+
+function showNetworkStatus(waitingForNetwork) {
+  if (waitingForNetwork === true) {
+    showElement(getElement("network_status"));
+    showElement(getElement("network_help"));
+  } else {
+    hideElement(getElement("network_status"));
+    hideElement(getElement("network_help"));
+  }
+}
+
+function showMinimumVersion(minimumVersion) {
+  const banner = getElement("minimum_version_banner");
+  if (typeof minimumVersion === "string") {
+    setTextContent(
+      banner,
+      browser.i18n.getMessage("minimumVersionBanner", minimumVersion),
+    );
+    showElement(banner);
+  } else {
+    hideElement(banner);
+  }
+}
+
 function showLatestVersion(latestVersion) {
   if (typeof latestVersion === "string") {
     setTextContent(getElement("latest_version"), latestVersion);
@@ -131,6 +357,33 @@ function showLatestVersion(latestVersion) {
   }
 }
 
+// Confirm a recent browser update with its release notes
+async function showUpdatedNotice() {
+  const { browser_updated } =
+    await browser.storage.local.get("browser_updated");
+  if (
+    !browser_updated ||
+    Date.now() - browser_updated.timestamp > UPDATED_NOTICE_DURATION
+  )
+    return;
+
+  setTextContent(
+    getElement("updated_text"),
+    browser.i18n.getMessage("notificationContentUpdated", [
+      browser_updated.browserName,
+      browser_updated.from,
+      browser_updated.to,
+    ]),
+  );
+  const notes = getElement("updated_notes");
+  if (notes && browser_updated.releaseNotes) {
+    notes.href = browser_updated.releaseNotes;
+  } else {
+    hideElement(notes);
+  }
+  showElement(getElement("updated_notice"));
+}
+
 function startEventListeners() {
   // Open settings page
   const settingsButton = getElement("open_settings_page");
@@ -141,9 +394,20 @@ function startEventListeners() {
   const imageButton = getElement("status_image");
   if (imageButton) {
     imageButton.addEventListener("click", async () => {
+      const { disable_manual_refresh } = await getManagedSettings();
+      if (disable_manual_refresh === true) return;
       await refreshResult(false);
     });
   }
+  // Snooze alerts
+  ["day", "week", "skip", "resume"].forEach((mode) => {
+    const snoozeButton = getElement(`snooze_${mode}`);
+    if (snoozeButton) {
+      snoozeButton.addEventListener("click", async () => {
+        await browser.runtime.sendMessage({ action: "snooze", mode: mode });
+      });
+    }
+  });
   // Listen for response
   browser.runtime.onMessage.addListener((message) => {
     if (message.action === "runCheckerRefresh") {
@@ -159,6 +423,76 @@ function startEventListeners() {
   });
 }
 
+function showPendingDays(isLatest, pendingSince) {
+  const pendingDays = getElement("pending_days");
+  if (isLatest === false && typeof pendingSince === "number") {
+    const days = Math.floor(
+      (Date.now() - pendingSince) / (24 * 60 * 60 * 1000),
+    );
+    setTextContent(
+      pendingDays,
+      days > 0
+        ? browser.i18n.getMessage("updatePendingDays", String(days))
+        : browser.i18n.getMessage("updatePendingToday"),
+    );
+    showElement(pendingDays);
+  } else {
+    hideElement(pendingDays);
+  }
+}
+
+function showSnoozeControls(isLatest, snoozed, minimumVersion) {
+  const controls = getElement("snooze_controls");
+  const status = getElement("snooze_status");
+  const snoozeButtons = ["snooze_day", "snooze_week", "snooze_skip"];
+
+  // Running below the minimum version cannot be snoozed
+  if (isLatest !== false || minimumVersion) {
+    hideElement(controls);
+    return;
+  }
+
+  if (snoozed) {
+    setTextContent(
+      status,
+      snoozed.mode === "skip"
+        ? browser.i18n.getMessage("snoozedVersion", snoozed.version)
+        : browser.i18n.getMessage(
+            "snoozedUntil",
+            new Date(snoozed.until).toLocaleString(),
+          ),
+    );
+    showElement(status);
+    showElement(getElement("snooze_resume"));
+    snoozeButtons.forEach((id) => hideElement(getElement(id)));
+  } else {
+    hideElement(status);
+    hideElement(getElement("snooze_resume"));
+    snoozeButtons.forEach((id) => showElement(getElement(id)));
+  }
+
+  showElement(controls);
+}
+
+// Mark the last known result kept through failed checks
+function showStaleNotice(staleSince, errorCause, rateLimitedUntil) {
+  const staleNotice = getElement("stale_notice");
+  if (typeof staleSince === "number") {
+    const { explanation, fix } = describeError(errorCause, rateLimitedUntil);
+    setTextContent(
+      staleNotice,
+      browser.i18n.getMessage("staleSince", [
+        calculateRelativeTime(staleSince),
+        explanation,
+      ]),
+    );
+    if (staleNotice) staleNotice.title = fix;
+    showElement(staleNotice);
+  } else {
+    hideElement(staleNotice);
+  }
+}
+
 function showTooltip(element) {
   if (element) {
     // show tooltip
@@ -175,17 +509,30 @@ async function updatePage(response) {
   if (!useCache) {
     // Temporary status
     hideElement(getElement("error_status"));
+    hideElement(getElement("error_help"));
+    hideElement(getElement("stale_notice"));
+    showNetworkStatus(false);
     showElement(getElement("loading_spinner"));
     changeImage(getElement("status_image"), "img");
     showLatestVersion("UNKNOWN");
   }
 
+  const advisories = response.advisories;
   const isLatest = response.isLatest;
   const isRunning = response.isRunning;
   const browserName = response.browserName;
   const browserVersion = response.browserVersion;
+  const buildStale = response.buildStale;
+  const buildTimestamp = response.buildTimestamp;
   const latestVersion = response.latestVersion;
   const lastChecked = response.lastChecked;
+  const minimumVersion = response.minimumVersion;
+  const pendingSince = response.pendingSince;
+  const rateLimitedUntil = response.rateLimitedUntil;
+  const snoozed = response.snoozed;
+  const source = response.source;
+  const staleSince = response.staleSince;
+  const waitingForNetwork = response.waitingForNetwork;
   const errorCause = response.errorCause;
   const infoDetails = getElement("info_details");
 
@@ -209,6 +556,14 @@ async function updatePage(response) {
 
   // Show version information
   showLatestVersion(latestVersion);
+  showBuildAge(buildTimestamp, buildStale);
+  showAdvisories(advisories);
+  showMinimumVersion(minimumVersion);
+  showPendingDays(isLatest, pendingSince);
+  showSnoozeControls(isLatest, snoozed, minimumVersion);
+  showStaleNotice(staleSince, errorCause, rateLimitedUntil);
+  showNetworkStatus(waitingForNetwork);
+  showHistory();
 
   if (typeof lastChecked === "number") {
     const dateChecked = new Date(lastChecked).toLocaleString();
@@ -218,27 +573,44 @@ async function updatePage(response) {
       getElement("last_checked"),
       `${browser.i18n.getMessage("lastChecked")} ${relativeDateChecked}`,
     );
+    setTextContent(
+      getElement("latest_source"),
+      source ? browser.i18n.getMessage("latestSource", source) : "",
+    );
     showTooltip(getElement("img_tooltip"));
   }
 
-  if (isLatest === true) {
+  if (minimumVersion && isRunning !== true) {
+    hideElement(getElement("loading_spinner"));
+    changeImage(getElement("status_image"), "critical");
+
+    // Open details to reach the update information
+    if (infoDetails) infoDetails.open = true;
+  } else if (waitingForNetwork && isLatest === null) {
+    hideElement(getElement("loading_spinner"));
+    changeImage(getElement("status_image"), "offline");
+    showLatestVersion("UNKNOWN");
+  } else if (isLatest === true) {
     hideElement(getElement("loading_spinner"));
     changeImage(getElement("status_image"), "ok");
-  } else if (isLatest !== true && errorCause && isRunning !== true) {
+  } else if (
+    isLatest !== true &&
+    errorCause &&
+    !staleSince &&
+    isRunning !== true
+  ) {
     hideElement(getElement("loading_spinner"));
     changeImage(getElement("status_image"), "error");
-    showElement(getElement("error_status"));
     showLatestVersion("ERROR");
-    if (errorCause === "unsupported")
-      setTextContent(
-        getElement("error_status"),
-        browser.i18n.getMessage("unsupportedBrowser"),
-      );
+    showErrorCause(errorCause, rateLimitedUntil);
   } else if (isLatest === null) {
     hideElement(getElement("loading_spinner"));
     changeImage(getElement("status_image"), "error");
-    showElement(getElement("error_status"));
+    showErrorCause(null, null);
     showLatestVersion("ERROR");
+  } else if (isLatest === false && snoozed) {
+    hideElement(getElement("loading_spinner"));
+    changeImage(getElement("status_image"), "snoozed");
   } else if (isLatest === false) {
     hideElement(getElement("loading_spinner"));
     changeImage(getElement("status_image"), "warn");
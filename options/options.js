@@ -5,30 +5,135 @@
 const ELEMENT_IDS = {
   FORM: "options_form",
   ALERT_TYPE: "alert_type",
+  BADGE_TYPE: "badge_type",
+  ESCALATION_NOTIF_DAYS: "escalation_notif_days",
+  ESCALATION_TAB_DAYS: "escalation_tab_days",
   ALARM_SCHEDULE: "alarm_schedule",
+  REALERT_INTERVAL: "realert_interval",
+  STALE_MAX_AGE: "stale_max_age",
+  NIGHTLY_MAX_AGE: "nightly_max_age",
+  NIGHTLY_BUILD_ENDPOINT: "nightly_build_endpoint",
   SUBMIT_BUTTON: "submit_button",
   MANAGED_OPTIONS: "managed_options",
   OPTION_1MINUTE: "option1Minute",
+  CUSTOM_SOURCE_FORM: "custom_source_form",
+  CUSTOM_SOURCES_MANAGED: "custom_sources_managed",
+  CUSTOM_SOURCES_TABLE: "custom_sources_table",
+  CUSTOM_SOURCE_NAME: "custom_source_name",
+  CUSTOM_SOURCE_URL: "custom_source_url",
+  CUSTOM_SOURCE_FORMAT: "custom_source_format",
+  CUSTOM_SOURCE_PATH: "custom_source_path",
+  CUSTOM_SOURCE_PREVIEW: "custom_source_preview",
+  CUSTOM_SOURCE_TEST: "custom_source_test",
+  CUSTOM_SOURCE_ADD: "custom_source_add",
+  MINIMUM_VERSION_FORM: "minimum_version_form",
+  MINIMUM_VERSIONS_TABLE: "minimum_versions_table",
+  MINIMUM_VERSION_BROWSER: "minimum_version_browser",
+  MINIMUM_VERSION_VALUE: "minimum_version_value",
+  PROVIDER_NAMES: "provider_names",
+  DIAGNOSTICS_EXPORT: "diagnostics_export",
 };
 
 const STORAGE_KEYS = {
   ALERT_TYPE: "alert_type",
+  BADGE_TYPE: "badge_type",
+  ESCALATION_NOTIF_DAYS: "escalation_notif_days",
+  ESCALATION_TAB_DAYS: "escalation_tab_days",
   ALARM_SCHEDULE: "alarm_schedule",
+  REALERT_INTERVAL: "realert_interval",
+  STALE_MAX_AGE: "stale_max_age",
+  NIGHTLY_MAX_AGE: "nightly_max_age",
+  NIGHTLY_BUILD_ENDPOINT: "nightly_build_endpoint",
 };
 
+// Keys shared by ELEMENT_IDS and STORAGE_KEYS for each setting
+const SETTING_KEYS = Object.keys(STORAGE_KEYS);
+
+// Custom sources and minimum versions are stored apart from the settings form
+const CUSTOM_SOURCES_KEY = "custom_sources";
+const MINIMUM_VERSIONS_KEY = "minimum_versions";
+
+// Local state included in the diagnostics export
+const DIAGNOSTICS_LOCAL_KEYS = [
+  "check_history",
+  "format_mismatches",
+  "is_latest",
+  "pending_updates",
+  "rate_limits",
+  "release_builds",
+];
+
+// Serialized custom source form values that passed a test fetch
+let testedCustomSource = null;
+
 // Functions
 const getElement = (id) => document.getElementById(id);
 
-async function applySettings(settings) {
-  const alertTypeElement = getElement(ELEMENT_IDS.ALERT_TYPE);
-  const alarmScheduleElement = getElement(ELEMENT_IDS.ALARM_SCHEDULE);
+async function addCustomSource(e) {
+  e.preventDefault();
+
+  const source = readCustomSourceForm();
+  if (JSON.stringify(source) !== testedCustomSource) {
+    console.error("options addCustomSource(): source must pass a test fetch");
+    return;
+  }
+
+  // Replace any source matching the same browser name
+  const sources = (await loadCustomSources()).filter(
+    (entry) => entry.name.toLowerCase() !== source.name.toLowerCase(),
+  );
+  sources.push(source);
+
+  const success = await storeSettings({ [CUSTOM_SOURCES_KEY]: sources });
+  if (success) {
+    getElement(ELEMENT_IDS.CUSTOM_SOURCE_FORM)?.reset();
+    setPreview("", false);
+    customSourceOnChange();
+    renderCustomSources(sources, false);
+  }
+}
 
-  if (alertTypeElement) {
-    alertTypeElement.value = settings[STORAGE_KEYS.ALERT_TYPE] || "";
+async function addMinimumVersion(e) {
+  e.preventDefault();
+
+  const browserName = getElement(
+    ELEMENT_IDS.MINIMUM_VERSION_BROWSER,
+  )?.value.trim();
+  const minimumVersion = getElement(
+    ELEMENT_IDS.MINIMUM_VERSION_VALUE,
+  )?.value.trim();
+  if (!browserName || !minimumVersion) return;
+
+  const versions = {
+    ...(await loadMinimumVersions()),
+    [browserName]: minimumVersion,
+  };
+
+  const success = await storeSettings({ [MINIMUM_VERSIONS_KEY]: versions });
+  if (success) {
+    getElement(ELEMENT_IDS.MINIMUM_VERSION_FORM)?.reset();
+    renderMinimumVersions(versions, false);
   }
+}
+
+async function applySettings(settings) {
+  SETTING_KEYS.forEach((key) => {
+    const element = getElement(ELEMENT_IDS[key]);
+    if (element) {
+      element.value = settings[STORAGE_KEYS[key]] || "";
+    }
+  });
+}
+
+function customSourceOnChange() {
+  const source = readCustomSourceForm();
+  const addButton = getElement(ELEMENT_IDS.CUSTOM_SOURCE_ADD);
 
-  if (alarmScheduleElement) {
-    alarmScheduleElement.value = settings[STORAGE_KEYS.ALARM_SCHEDULE] || "";
+  // Edits after a test fetch require testing again
+  if (JSON.stringify(source) === testedCustomSource) {
+    enableElement(addButton);
+  } else {
+    disableElement(addButton);
   }
 }
 
@@ -40,60 +145,240 @@ function enableElement(element) {
   if (element) element.disabled = false;
 }
 
-async function loadManagedSettings() {
+async function exportDiagnostics() {
+  try {
+    const diagnostics = {
+      exported: new Date().toISOString(),
+      extensionVersion: browser.runtime.getManifest().version,
+      browserInfo: await browser.runtime.getBrowserInfo(),
+      settings: await loadSettings(),
+      managedSettings: await getManagedSettings(),
+      ...(await browser.storage.local.get(DIAGNOSTICS_LOCAL_KEYS)),
+    };
+
+    const url = URL.createObjectURL(
+      new Blob([JSON.stringify(diagnostics, null, 2)], {
+        type: "application/json",
+      }),
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `moz-update-checker-diagnostics-${diagnostics.exported.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+  } catch (error) {
+    console.error(
+      "options exportDiagnostics(): failed to export diagnostics:",
+      error,
+    );
+  }
+}
+
+async function loadCustomSources() {
   try {
-    const settings = await browser.storage.managed.get();
-    return Object.keys(settings).length > 0 ? settings : null;
-  } catch {
-    return null;
+    const result = await browser.storage.sync.get(CUSTOM_SOURCES_KEY);
+    const sources = result[CUSTOM_SOURCES_KEY];
+    return Array.isArray(sources) ? sources : [];
+  } catch (error) {
+    console.error(
+      "options loadCustomSources(): failed to load custom sources:",
+      error,
+    );
+    return [];
   }
 }
 
-async function loadSettings() {
+async function loadMinimumVersions() {
   try {
-    return await browser.storage.sync.get();
+    const result = await browser.storage.sync.get(MINIMUM_VERSIONS_KEY);
+    return result[MINIMUM_VERSIONS_KEY] ?? {};
   } catch (error) {
     console.error(
-      "options loadSettings(): failed to load sync settings:",
+      "options loadMinimumVersions(): failed to load minimum versions:",
       error,
     );
     return {};
   }
 }
 
-async function restoreSettings() {
+async function loadSettings() {
   try {
-    // Check for managed settings
-    const managedSettings = await loadManagedSettings();
+    return await getSettings();
+  } catch (error) {
+    console.error("options loadSettings(): failed to load settings:", error);
+    return {};
+  }
+}
+
+function readCustomSourceForm() {
+  return {
+    name: getElement(ELEMENT_IDS.CUSTOM_SOURCE_NAME)?.value.trim() ?? "",
+    url: getElement(ELEMENT_IDS.CUSTOM_SOURCE_URL)?.value.trim() ?? "",
+    format: getElement(ELEMENT_IDS.CUSTOM_SOURCE_FORMAT)?.value ?? "json",
+    path: getElement(ELEMENT_IDS.CUSTOM_SOURCE_PATH)?.value.trim() ?? "",
+  };
+}
+
+async function removeCustomSource(name) {
+  const sources = (await loadCustomSources()).filter(
+    (entry) => entry.name !== name,
+  );
+
+  const success = await storeSettings({ [CUSTOM_SOURCES_KEY]: sources });
+  if (success) renderCustomSources(sources, false);
+}
+
+async function removeMinimumVersion(browserName) {
+  const versions = await loadMinimumVersions();
+  delete versions[browserName];
+
+  const success = await storeSettings({ [MINIMUM_VERSIONS_KEY]: versions });
+  if (success) renderMinimumVersions(versions, false);
+}
+
+function renderCustomSources(sources, locked) {
+  const table = getElement(ELEMENT_IDS.CUSTOM_SOURCES_TABLE);
+  if (!table) return;
+
+  table.replaceChildren(
+    ...sources.map((source) => {
+      const row = document.createElement("tr");
+      const info = document.createElement("td");
+      const action = document.createElement("td");
+      const removeButton = document.createElement("button");
+
+      info.textContent = `${source.name} (${source.format}: ${source.path})`;
+      info.title = source.url;
+
+      action.classList.add("option-right");
+      removeButton.type = "button";
+      removeButton.disabled = locked;
+      removeButton.textContent = browser.i18n.getMessage(
+        "optionCustomSourceRemove",
+      );
+      removeButton.addEventListener("click", () =>
+        removeCustomSource(source.name),
+      );
+      action.appendChild(removeButton);
+
+      row.append(info, action);
+      return row;
+    }),
+  );
+}
 
-    if (managedSettings) {
-      await applySettings(managedSettings);
+function renderMinimumVersions(versions, locked) {
+  const table = getElement(ELEMENT_IDS.MINIMUM_VERSIONS_TABLE);
+  if (!table) return;
+
+  table.replaceChildren(
+    ...Object.entries(versions).map(([browserName, minimumVersion]) => {
+      const row = document.createElement("tr");
+      const info = document.createElement("td");
+      const action = document.createElement("td");
+      const removeButton = document.createElement("button");
+
+      info.textContent = `${browserName} ≥ ${minimumVersion}`;
+
+      action.classList.add("option-right");
+      removeButton.type = "button";
+      removeButton.disabled = locked;
+      removeButton.textContent = browser.i18n.getMessage(
+        "optionCustomSourceRemove",
+      );
+      removeButton.addEventListener("click", () =>
+        removeMinimumVersion(browserName),
+      );
+      action.appendChild(removeButton);
+
+      row.append(info, action);
+      return row;
+    }),
+  );
+}
+
+async function restoreCustomSources() {
+  // Custom sources enforced by policy replace those of the user
+  const managedSettings = await getManagedSettings();
+  const locked = CUSTOM_SOURCES_KEY in managedSettings;
+  if (locked) {
+    getElement(ELEMENT_IDS.CUSTOM_SOURCE_FORM)
+      ?.querySelectorAll("input, select, button")
+      .forEach((element) => disableElement(element));
+    showElement(getElement(ELEMENT_IDS.CUSTOM_SOURCES_MANAGED));
+  }
+
+  const sources = locked
+    ? managedSettings[CUSTOM_SOURCES_KEY]
+    : await loadCustomSources();
+  renderCustomSources(Array.isArray(sources) ? sources : [], locked);
+}
+
+async function restoreMinimumVersions() {
+  // Suggest the names of supported browsers
+  getElement(ELEMENT_IDS.PROVIDER_NAMES)?.replaceChildren(
+    ...releaseProviders.list.map((provider) => {
+      const option = document.createElement("option");
+      option.value = provider.name;
+      return option;
+    }),
+  );
+
+  // Minimum versions enforced by policy cannot be edited
+  const managedSettings = await getManagedSettings();
+  const locked = MINIMUM_VERSIONS_KEY in managedSettings;
+  if (locked) {
+    getElement(ELEMENT_IDS.MINIMUM_VERSION_FORM)
+      ?.querySelectorAll("input, button")
+      .forEach((element) => disableElement(element));
+  }
 
+  renderMinimumVersions(
+    locked
+      ? managedSettings[MINIMUM_VERSIONS_KEY]
+      : await loadMinimumVersions(),
+    locked,
+  );
+}
+
+async function restoreSettings() {
+  try {
+    // Settings enforced by policy are locked individually
+    const managedSettings = await getManagedSettings();
+    const lockedKeys = SETTING_KEYS.filter(
+      (key) => STORAGE_KEYS[key] in managedSettings,
+    );
+
+    if (
+      lockedKeys.length > 0 ||
+      CUSTOM_SOURCES_KEY in managedSettings ||
+      MINIMUM_VERSIONS_KEY in managedSettings
+    ) {
       // Show managed warning
       showElement(getElement(ELEMENT_IDS.MANAGED_OPTIONS));
-
-      // Prevent edit
-      disableElement(getElement(ELEMENT_IDS.ALERT_TYPE));
-      disableElement(getElement(ELEMENT_IDS.ALARM_SCHEDULE));
     } else {
-      // Read sync settings
       hideElement(getElement(ELEMENT_IDS.MANAGED_OPTIONS));
+    }
 
-      // Debug option
-      if (DEV_MODE) {
-        console.debug(
-          `options restoreSettings(): enabling debug option: ${ELEMENT_IDS.OPTION_1MINUTE}`,
-        );
-        showElement(getElement(ELEMENT_IDS.OPTION_1MINUTE));
-      }
+    // Debug option
+    if (DEV_MODE) {
+      console.debug(
+        `options restoreSettings(): enabling debug option: ${ELEMENT_IDS.OPTION_1MINUTE}`,
+      );
+      showElement(getElement(ELEMENT_IDS.OPTION_1MINUTE));
+    }
 
-      const syncSettings = await loadSettings();
-      await applySettings(syncSettings);
+    const settings = await loadSettings();
+    await applySettings(settings);
 
-      // Enable edit
-      enableElement(getElement(ELEMENT_IDS.ALERT_TYPE));
-      enableElement(getElement(ELEMENT_IDS.ALARM_SCHEDULE));
-    }
+    // Prevent edit of locked settings
+    SETTING_KEYS.forEach((key) => {
+      if (lockedKeys.includes(key)) {
+        disableElement(getElement(ELEMENT_IDS[key]));
+      } else {
+        enableElement(getElement(ELEMENT_IDS[key]));
+      }
+    });
 
     // Update buttons
     await settingsOnChange();
@@ -105,19 +390,17 @@ async function restoreSettings() {
 async function saveSettings(e) {
   e.preventDefault();
 
-  const alertType = getElement(ELEMENT_IDS.ALERT_TYPE)?.value;
-  const alarmSchedule = getElement(ELEMENT_IDS.ALARM_SCHEDULE)?.value;
-
-  if (alertType === undefined || alarmSchedule === undefined) {
-    console.error("options saveSettings(): failed to get form values");
-    return;
+  const settings = {};
+  for (const key of SETTING_KEYS) {
+    const element = getElement(ELEMENT_IDS[key]);
+    if (!element) {
+      console.error("options saveSettings(): failed to get form values");
+      return;
+    }
+    // Locked settings remain enforced by policy
+    if (!element.disabled) settings[STORAGE_KEYS[key]] = element.value;
   }
 
-  const settings = {
-    [STORAGE_KEYS.ALERT_TYPE]: alertType,
-    [STORAGE_KEYS.ALARM_SCHEDULE]: alarmSchedule,
-  };
-
   const success = await storeSettings(settings);
   if (success) {
     disableElement(getElement(ELEMENT_IDS.SUBMIT_BUTTON));
@@ -128,19 +411,17 @@ async function saveSettings(e) {
 async function settingsOnChange() {
   try {
     const currentSettings = await loadSettings();
-    const alertTypeElement = getElement(ELEMENT_IDS.ALERT_TYPE);
-    const alarmScheduleElement = getElement(ELEMENT_IDS.ALARM_SCHEDULE);
+    const elements = SETTING_KEYS.map((key) => getElement(ELEMENT_IDS[key]));
     const submitButton = getElement(ELEMENT_IDS.SUBMIT_BUTTON);
 
-    if (!alertTypeElement || !alarmScheduleElement || !submitButton) {
+    if (elements.includes(null) || !submitButton) {
       return;
     }
 
-    const hasChanges =
-      alertTypeElement.value !==
-        (currentSettings[STORAGE_KEYS.ALERT_TYPE] || "") ||
-      alarmScheduleElement.value !==
-        (currentSettings[STORAGE_KEYS.ALARM_SCHEDULE] || "");
+    const hasChanges = SETTING_KEYS.some(
+      (key, index) =>
+        elements[index].value !== (currentSettings[STORAGE_KEYS[key]] || ""),
+    );
 
     if (hasChanges) {
       enableElement(submitButton);
@@ -155,6 +436,14 @@ async function settingsOnChange() {
   }
 }
 
+function setPreview(text, isError) {
+  const preview = getElement(ELEMENT_IDS.CUSTOM_SOURCE_PREVIEW);
+  if (preview) {
+    preview.textContent = text;
+    preview.classList.toggle("error", isError);
+  }
+}
+
 async function storeSettings(settings) {
   try {
     await browser.storage.sync.set(settings);
@@ -165,24 +454,105 @@ async function storeSettings(settings) {
   }
 }
 
+async function testCustomSource() {
+  testedCustomSource = null;
+  customSourceOnChange();
+
+  if (!getElement(ELEMENT_IDS.CUSTOM_SOURCE_FORM)?.reportValidity()) {
+    return;
+  }
+
+  const source = readCustomSourceForm();
+
+  try {
+    // Host access must be requested while handling the click
+    const granted = await browser.permissions.request({
+      origins: [`${new URL(source.url).origin}/*`],
+    });
+    if (!granted) {
+      throw new Error(browser.i18n.getMessage("optionCustomSourcePermission"));
+    }
+
+    const response = await fetch(source.url, {
+      cache: "no-cache",
+      signal: AbortSignal.timeout(30000),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const responseData =
+      source.format === "xml" ? await response.text() : await response.json();
+    const version = releaseProviders.extractVersion(
+      responseData,
+      source.format,
+      source.path,
+    );
+    if (!version) {
+      throw new Error(browser.i18n.getMessage("optionCustomSourceNoVersion"));
+    }
+
+    setPreview(
+      browser.i18n.getMessage("optionCustomSourcePreview", version),
+      false,
+    );
+    testedCustomSource = JSON.stringify(source);
+    customSourceOnChange();
+  } catch (error) {
+    console.error("options testCustomSource(): test fetch failed:", error);
+    setPreview(
+      browser.i18n.getMessage("optionCustomSourcePreviewErr", error.message),
+      true,
+    );
+  }
+}
+
 // Main events
 document.addEventListener("DOMContentLoaded", () => {
   restoreSettings();
 
   const form = getElement(ELEMENT_IDS.FORM);
-  const alertType = getElement(ELEMENT_IDS.ALERT_TYPE);
-  const alarmSchedule = getElement(ELEMENT_IDS.ALARM_SCHEDULE);
+  const nightlyBuildEndpoint = getElement(ELEMENT_IDS.NIGHTLY_BUILD_ENDPOINT);
+
+  // Reset target for the free-form setting
+  if (nightlyBuildEndpoint) {
+    nightlyBuildEndpoint.defaultValue = NIGHTLY_BUILD_ENDPOINT;
+  }
 
   if (form) {
     form.addEventListener("submit", saveSettings);
     form.addEventListener("reset", settingsOnChange);
   }
 
-  if (alertType) {
-    alertType.addEventListener("change", settingsOnChange);
-  }
+  SETTING_KEYS.forEach((key) => {
+    getElement(ELEMENT_IDS[key])?.addEventListener("input", settingsOnChange);
+  });
 
-  if (alarmSchedule) {
-    alarmSchedule.addEventListener("change", settingsOnChange);
+  // Custom sources
+  restoreCustomSources();
+
+  const customSourceForm = getElement(ELEMENT_IDS.CUSTOM_SOURCE_FORM);
+  if (customSourceForm) {
+    customSourceForm.addEventListener("submit", addCustomSource);
+    customSourceForm.addEventListener("input", customSourceOnChange);
   }
+
+  getElement(ELEMENT_IDS.CUSTOM_SOURCE_TEST)?.addEventListener(
+    "click",
+    testCustomSource,
+  );
+
+  // Minimum versions
+  restoreMinimumVersions();
+
+  getElement(ELEMENT_IDS.MINIMUM_VERSION_FORM)?.addEventListener(
+    "submit",
+    addMinimumVersion,
+  );
+
+  // Diagnostics
+  getElement(ELEMENT_IDS.DIAGNOSTICS_EXPORT)?.addEventListener(
+    "click",
+    exportDiagnostics,
+  );
 });
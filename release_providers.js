@@ -0,0 +1,486 @@
+// Release providers
+"use strict";
+
+// Registry of supported browsers, each provider declares:
+//   name:             browser name reported to the user
+//   detect:           rule matching the runtime.getBrowserInfo() result
+//   endpoints:        ordered release API endpoints, later entries are fallbacks
+//                     each { url, format?, parse?, schema? } overriding the provider defaults
+//   format:           endpoint response format, "json" (default) or "xml"
+//   schema:           expected endpoint response shape, see matchesSchema()
+//   parse:            extracts the latest version from the endpoint response
+//   normalizeVersion: adjusts a version string before comparison
+//   checkBuild:       optional build staleness check for matching versions
+//   installedVersion: optional installed release version when the browser only
+//                     reports its Gecko version, see recordedVersion()
+//   upstream:         optional name of the release the browser is based on
+//   advisoryProduct:  optional Mozilla security advisory product for the latest version
+//   releaseNotes:     optional release notes URL for the latest version
+//   infoLinks:        rows of links shown in the pop-up info table
+const releaseProviders = {
+  list: [],
+
+  // Find the first provider matching the browser info
+  detect: function (browserInfo) {
+    return this.list.find((provider) => provider.detect(browserInfo)) ?? null;
+  },
+
+  // Read a version from an endpoint response using a path expression
+  // JSON paths are keys or indices separated by dots, i.e. 0.tag_name
+  // XML paths are CSS selectors, i.e. entry > title
+  extractVersion: function (response, format, path) {
+    if (typeof path !== "string" || path.trim() === "") return null;
+
+    let value;
+    if (format === "xml") {
+      if (typeof response !== "string") return null;
+      const doc = new DOMParser().parseFromString(response, "application/xml");
+      if (doc.querySelector("parsererror")) return null;
+      value = doc.querySelector(path)?.textContent;
+    } else {
+      value = path
+        .replace(/\[(\d+)\]/g, ".$1")
+        .split(".")
+        .filter((key) => key !== "")
+        .reduce((node, key) => node?.[key], response);
+    }
+
+    if (typeof value !== "string" && typeof value !== "number") return null;
+
+    // Pick the version out of surrounding text, i.e. "Release v1.2.3"
+    return String(value).match(/v?\d+(\.\d+)*\S*/)?.[0] ?? null;
+  },
+
+  // Find a provider by name
+  get: function (name) {
+    return this.list.find((provider) => provider.name === name) ?? null;
+  },
+
+  // Check an extracted version looks like a version, i.e. v1.2.3, G6.5.0 or 128.0esr
+  isVersion: function (version) {
+    return (
+      typeof version === "string" &&
+      version.length <= 64 &&
+      /^[a-z]?\d+(\.\d+)*[\w.+-]*$/i.test(version)
+    );
+  },
+
+  // Register user-defined sources ahead of built-in providers
+  loadCustomSources: async function () {
+    const { custom_sources } = await getSettings("custom_sources");
+
+    this.list = this.list.filter((provider) => !provider.custom);
+    (Array.isArray(custom_sources) ? custom_sources : [])
+      .toReversed()
+      .forEach((source) => {
+        this.register(
+          {
+            name: source.name,
+            custom: true,
+            detect: ({ name }) =>
+              name?.toLowerCase() === source.name.toLowerCase(),
+            endpoints: [{ url: source.url }],
+            format: source.format,
+            parse: (response) =>
+              this.extractVersion(response, source.format, source.path),
+          },
+          true,
+        );
+      });
+  },
+
+  // Check an endpoint response has the expected shape
+  // JSON schemas mirror the response with typeof names as values,
+  // arrays describe their first item, i.e. [{ tag_name: "string" }]
+  // XML schemas are CSS selectors that must match, i.e. feed > entry > title
+  matchesSchema: function (response, format, schema) {
+    if (schema === undefined) return true;
+
+    if (format === "xml") {
+      if (typeof response !== "string") return false;
+      const doc = new DOMParser().parseFromString(response, "application/xml");
+      return (
+        !doc.querySelector("parsererror") && doc.querySelector(schema) !== null
+      );
+    }
+
+    if (typeof schema === "string") return typeof response === schema;
+    if (Array.isArray(schema))
+      return (
+        Array.isArray(response) &&
+        response.length > 0 &&
+        this.matchesSchema(response[0], format, schema[0])
+      );
+    return (
+      typeof response === "object" &&
+      response !== null &&
+      Object.entries(schema).every(([key, value]) =>
+        this.matchesSchema(response[key], format, value),
+      )
+    );
+  },
+
+  // Release version of builds reporting only their Gecko version, taken as the
+  // latest release when a build ID is first seen, i.e. after the browser
+  // updated, a null latest version only reads the recorded release
+  recordedVersion: async function (name, buildID, latestVersion) {
+    const { release_builds } =
+      await browser.storage.local.get("release_builds");
+    const entry = release_builds?.[name];
+    if (entry?.buildID === buildID) return entry.version;
+    if (latestVersion === null) return null;
+
+    if (DEV_MODE)
+      console.debug(
+        `releaseProviders.recordedVersion(): ${name} build ${buildID} recorded as ${latestVersion}`,
+      );
+    await browser.storage.local.set({
+      release_builds: {
+        ...release_builds,
+        [name]: { buildID: buildID, version: latestVersion },
+      },
+    });
+    return latestVersion;
+  },
+
+  // Add a provider with defaults for optional properties
+  register: function (provider, prepend = false) {
+    const entry = {
+      format: "json",
+      normalizeVersion: (version) => version,
+      infoLinks: [],
+      ...provider,
+    };
+    if (prepend) {
+      this.list.unshift(entry);
+    } else {
+      this.list.push(entry);
+    }
+  },
+};
+
+// Providers are matched in registration order, forks must precede Firefox
+releaseProviders.register({
+  name: "LibreWolf",
+  // Compensate for new LibreWolf extension "privacy feature"
+  // pref: librewolf.getBrowserInfo.setToFirefoxDefaults
+  detect: ({ name, version }) =>
+    name === "LibreWolf" ||
+    (name === "Firefox" && version?.split("-").length === 2),
+  endpoints: [
+    {
+      url: "https://codeberg.org/api/v1/repos/librewolf/bsys6/releases?limit=1",
+    },
+    { url: "https://gitlab.com/api/v4/projects/44042130/releases.json" },
+  ],
+  schema: [{ tag_name: "string" }],
+  parse: (response) => response?.[0]?.tag_name,
+  releaseNotes: (latestVersion) =>
+    `https://codeberg.org/librewolf/bsys6/releases/tag/${latestVersion}`,
+  advisoryProduct: () => "Firefox",
+  infoLinks: [
+    {
+      id: "LibreWolf",
+      links: [
+        { href: "https://librewolf.net/", i18nKey: "updateInfoLibrewolfHome" },
+        {
+          href: "https://codeberg.org/librewolf/source/releases/",
+          i18nKey: "updateInfoLibrewolfReleases",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "IceCat",
+  detect: ({ name }) => name === "IceCat",
+  endpoints: [
+    {
+      url: "https://api.github.com/repos/ryan-steed-usa/gnu-icecat-mirror/releases/latest",
+    },
+    {
+      url: "https://gitweb.git.savannah.gnu.org/gitweb/?p=gnuzilla.git;a=atom",
+      format: "xml",
+      schema: "feed > entry > title",
+      // Skip commits until a release title, i.e. "Update to 128.4.0"
+      parse: (response) => {
+        const doc = new DOMParser().parseFromString(
+          response,
+          "application/xml",
+        );
+        const release =
+          /(?:^|\s)v?(\d{2,}\.\d+\.\d+(?:-gnu\d+)?)(?=\s|[.,:;)]?$)/;
+        return (
+          [...doc.querySelectorAll("entry > title")]
+            .map((title) => title.textContent.trim().match(release)?.[1])
+            .find((version) => version) ?? null
+        );
+      },
+    },
+  ],
+  schema: { tag_name: "string" },
+  parse: (response) => response?.tag_name,
+  releaseNotes: (latestVersion) =>
+    `https://github.com/ryan-steed-usa/gnu-icecat-mirror/releases/tag/${latestVersion}`,
+  // Release tags carry a "-gnuN" suffix absent from the browser version
+  normalizeVersion: (version) => version?.replace(/-gnu.*$/, ""),
+  advisoryProduct: () => "Firefox ESR",
+  infoLinks: [
+    {
+      id: "IceCat",
+      links: [
+        {
+          href: "https://www.gnu.org/software/gnuzilla/",
+          i18nKey: "updateInfoIceCatHome",
+        },
+        {
+          href: "https://cgit.git.savannah.gnu.org/cgit/gnuzilla.git/log/",
+          i18nKey: "updateInfoIceCatGitLog",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "Tor Browser",
+  // The build vendor tells the forks apart when they report the Firefox name
+  detect: ({ name, vendor }) =>
+    ["TorBrowser", "Tor Browser"].includes(name) || vendor === "Tor Project",
+  endpoints: [
+    {
+      url: "https://aus1.torproject.org/torbrowser/update_3/release/downloads.json",
+    },
+  ],
+  schema: { version: "string" },
+  parse: (response) => response?.version,
+  // Reports the Gecko version of the Firefox ESR it is built on
+  installedVersion: ({ buildID }, latestVersion) =>
+    releaseProviders.recordedVersion("Tor Browser", buildID, latestVersion),
+  releaseNotes: () => "https://blog.torproject.org/category/releases/",
+  upstream: "Firefox ESR",
+  infoLinks: [
+    {
+      id: "TorBrowser",
+      links: [
+        {
+          href: "https://www.torproject.org/",
+          i18nKey: "updateInfoTorBrowserHome",
+        },
+        {
+          href: "https://blog.torproject.org/category/releases/",
+          i18nKey: "updateInfoTorBrowserReleases",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "Mullvad Browser",
+  detect: ({ name, vendor }) =>
+    ["MullvadBrowser", "Mullvad Browser"].includes(name) ||
+    vendor === "Mullvad",
+  endpoints: [
+    {
+      url: "https://cdn.mullvad.net/browser/update_responses/update_1/release/downloads.json",
+    },
+  ],
+  schema: { version: "string" },
+  parse: (response) => response?.version,
+  installedVersion: ({ buildID }, latestVersion) =>
+    releaseProviders.recordedVersion("Mullvad Browser", buildID, latestVersion),
+  releaseNotes: () => "https://github.com/mullvad/mullvad-browser/releases",
+  upstream: "Firefox ESR",
+  infoLinks: [
+    {
+      id: "MullvadBrowser",
+      links: [
+        {
+          href: "https://mullvad.net/browser",
+          i18nKey: "updateInfoMullvadBrowserHome",
+        },
+        {
+          href: "https://github.com/mullvad/mullvad-browser/releases",
+          i18nKey: "updateInfoMullvadBrowserReleases",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "Firefox",
+  detect: ({ name }) => name === "Firefox",
+  endpoints: [
+    { url: "https://product-details.mozilla.org/1.0/firefox_versions.json" },
+  ],
+  schema: {
+    LATEST_FIREFOX_VERSION: "string",
+    LATEST_FIREFOX_DEVEL_VERSION: "string",
+    FIREFOX_ESR: "string",
+    FIREFOX_NIGHTLY: "string",
+  },
+  parse: (response, browserVersion) =>
+    updateChecker.detectFirefoxRelease(browserVersion, response),
+  releaseNotes: (latestVersion) => {
+    const base = "https://www.mozilla.org/en-US/firefox";
+    if (/a\d+$/.test(latestVersion)) return `${base}/nightly/notes/`;
+    if (/b\d+$/.test(latestVersion))
+      return `${base}/${latestVersion.split(".")[0]}.0beta/releasenotes/`;
+    return `${base}/${latestVersion.split("esr")[0]}/releasenotes/`;
+  },
+  // Pre-release suffixes become numeric, i.e. 132.0b5 to 132.0-5
+  normalizeVersion: (version) => version?.replace(/[ab](\d+)$/, "-$1"),
+  // Pre-release channels are not covered by advisories
+  advisoryProduct: (latestVersion) =>
+    /[ab]\d+$/.test(latestVersion ?? "")
+      ? null
+      : latestVersion?.includes("esr")
+        ? "Firefox ESR"
+        : "Firefox",
+  // Nightly keeps the same version for weeks, compare build IDs instead
+  checkBuild: ({ version, buildID }, latestVersion) =>
+    /a\d+$/.test(version)
+      ? updateChecker.checkNightlyBuild(buildID, latestVersion)
+      : null,
+  infoLinks: [
+    {
+      id: "Beta",
+      match: (latestVersion) => /b\d+$/.test(latestVersion ?? ""),
+      links: [
+        {
+          href: "https://www.mozilla.org/en-US/firefox/beta/notes/",
+          i18nKey: "updateInfoBetaReleaseNotes",
+        },
+        {
+          href: "https://www.mozilla.org/en-US/firefox/developer/notes/",
+          i18nKey: "updateInfoDevEditionReleaseNotes",
+        },
+      ],
+    },
+    {
+      id: "Nightly",
+      match: (latestVersion) => /a\d+$/.test(latestVersion ?? ""),
+      links: [
+        {
+          href: "https://www.mozilla.org/en-US/firefox/nightly/notes/",
+          i18nKey: "updateInfoNightlyReleaseNotes",
+        },
+        {
+          href: "https://blog.nightly.mozilla.org/",
+          i18nKey: "updateInfoNightlyBlog",
+        },
+      ],
+    },
+    {
+      id: "ESR",
+      match: (latestVersion) => latestVersion?.includes("esr"),
+      links: [
+        {
+          href: "https://www.mozilla.org/en-US/security/known-vulnerabilities/firefox-esr/",
+          i18nKey: "updateInfoESRAdvisories",
+        },
+        {
+          href: "https://www.mozilla.org/firefox/organizations/notes/",
+          i18nKey: "updateInfoESRReleaseNotes",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "Thunderbird",
+  detect: ({ name }) => name === "Thunderbird",
+  endpoints: [
+    {
+      url: "https://product-details.mozilla.org/1.0/thunderbird_versions.json",
+    },
+  ],
+  schema: {
+    LATEST_THUNDERBIRD_VERSION: "string",
+    THUNDERBIRD_ESR: "string",
+  },
+  parse: (response, browserVersion) =>
+    updateChecker.detectThunderbirdRelease(browserVersion, response),
+  // ESR release notes are published under the "esr" suffixed version
+  releaseNotes: (latestVersion) =>
+    `https://www.thunderbird.net/en-US/thunderbird/${latestVersion}/releasenotes/`,
+  // ESR builds may report an "esr" suffix
+  normalizeVersion: (version) => version?.split("esr")[0],
+  advisoryProduct: () => "Thunderbird",
+  infoLinks: [
+    {
+      id: "Thunderbird",
+      links: [
+        {
+          href: "https://www.mozilla.org/en-US/security/known-vulnerabilities/thunderbird/",
+          i18nKey: "updateInfoThunderbirdAdvisories",
+        },
+        {
+          href: "https://www.thunderbird.net/en-US/thunderbird/releases/",
+          i18nKey: "updateInfoThunderbirdNotes",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "Waterfox",
+  detect: ({ name }) => name === "Waterfox",
+  endpoints: [
+    {
+      url: "https://api.github.com/repos/BrowserWorks/Waterfox/releases/latest",
+    },
+  ],
+  schema: { tag_name: "string" },
+  parse: (response) => response?.tag_name,
+  releaseNotes: (latestVersion) =>
+    `https://github.com/BrowserWorks/Waterfox/releases/tag/${latestVersion}`,
+  // Release tags may carry a "G" generation prefix, i.e. G6.5.0
+  normalizeVersion: (version) => version?.replace(/^G/i, ""),
+  infoLinks: [
+    {
+      id: "Waterfox",
+      links: [
+        {
+          href: "https://www.waterfox.net/",
+          i18nKey: "updateInfoWaterfoxHome",
+        },
+        {
+          href: "https://github.com/BrowserWorks/Waterfox/releases",
+          i18nKey: "updateInfoWaterfoxReleases",
+        },
+      ],
+    },
+  ],
+});
+
+releaseProviders.register({
+  name: "Floorp",
+  detect: ({ name }) => name === "Floorp",
+  endpoints: [
+    {
+      url: "https://api.github.com/repos/Floorp-Projects/Floorp/releases/latest",
+    },
+  ],
+  schema: { tag_name: "string" },
+  parse: (response) => response?.tag_name,
+  releaseNotes: (latestVersion) =>
+    `https://github.com/Floorp-Projects/Floorp/releases/tag/${latestVersion}`,
+  infoLinks: [
+    {
+      id: "Floorp",
+      links: [
+        { href: "https://floorp.app/", i18nKey: "updateInfoFloorpHome" },
+        {
+          href: "https://github.com/Floorp-Projects/Floorp/releases",
+          i18nKey: "updateInfoFloorpReleases",
+        },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,206 @@
+// Security advisories
+"use strict";
+
+// Mozilla Foundation Security Advisories, one YAML file per advisory
+const ADVISORY_REPO_API =
+  "https://api.github.com/repos/mozilla/foundation-security-advisories/contents/announce";
+const ADVISORY_IMPACTS = ["critical", "high", "moderate", "low"];
+const ADVISORY_MAX_FILES = 40;
+// GitHub allows 60 unauthenticated requests per hour, shared with release checks
+const ADVISORY_MAX_REQUESTS = 10;
+const ADVISORY_LISTING_TTL_MINUTES = 360;
+
+const securityAdvisories = {
+  // Fetches and parses a single advisory file
+  fetchAdvisory: async function (url, timeoutMs = 30000) {
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        console.warn(
+          `securityAdvisories.fetchAdvisory(): HTTP error! status: ${response.status} for URL: ${url}`,
+        );
+        return null;
+      }
+      return this.parseAdvisory(await response.text());
+    } catch (error) {
+      console.warn(
+        `securityAdvisories.fetchAdvisory(): failed to fetch ${url}:`,
+        error,
+      );
+      return null;
+    }
+  },
+
+  // Fetches the advisory files of a year, kept apart from the update checker
+  // so failures leave its lock, error and rate limits untouched
+  fetchListing: async function (year, timeoutMs = 30000) {
+    const url = `${ADVISORY_REPO_API}/${year}`;
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        console.warn(
+          `securityAdvisories.fetchListing(): HTTP error! status: ${response.status} for URL: ${url}`,
+        );
+        return null;
+      }
+      const listing = await response.json();
+      if (!Array.isArray(listing)) return null;
+      return listing.map(({ name, download_url }) => ({ name, download_url }));
+    } catch (error) {
+      console.warn(
+        `securityAdvisories.fetchListing(): failed to fetch ${url}:`,
+        error,
+      );
+      return null;
+    }
+  },
+
+  // Reads fixed_in products and CVE impacts from advisory YAML
+  parseAdvisory: function (text) {
+    const fixedIn = [];
+    const cves = {};
+    let section = null;
+    let cve = null;
+
+    for (const line of text.split("\n")) {
+      const key = line.match(/^([a-z_]+):/);
+      if (key) {
+        section = key[1];
+        cve = null;
+        continue;
+      }
+
+      if (section === "fixed_in") {
+        // i.e. "- Firefox ESR 128.4"
+        const fixed = line.match(/^\s*-\s*(.+?)\s+(\d[\d.]*)\s*$/);
+        if (fixed) fixedIn.push({ product: fixed[1], version: fixed[2] });
+      } else if (section === "advisories") {
+        const id = line.match(/^ {2}([\w-]+):\s*$/);
+        const impact = line.match(/^ {4}impact:\s*(\w+)/);
+        if (id) cve = id[1];
+        else if (impact && cve) cves[cve] = impact[1].toLowerCase();
+      }
+    }
+
+    return { fixedIn, cves };
+  },
+
+  // Counts CVEs by impact fixed after the browser version up to the latest version
+  summarize: async function (product, browserVersion, latestVersion) {
+    if (!product) return null;
+
+    try {
+      const cacheKey = "advisory_cache";
+      const listingsKey = "advisory_listings";
+      const stored = await browser.storage.local.get([cacheKey, listingsKey]);
+      const cache = stored[cacheKey] ?? {};
+      const listings = { ...stored[listingsKey] };
+      const seen = {};
+      const cves = {};
+      const now = Date.now();
+      const year = new Date(now).getFullYear();
+      let capped = false;
+      let requests = 0;
+      let scanned = 0;
+      let reachedInstalled = false;
+      const installedMajor = parseInt(browserVersion, 10);
+
+      // Walk advisories from newest to oldest until the installed version
+      for (const listingYear of [year, year - 1]) {
+        const cached = listings[listingYear];
+        let listing =
+          now - cached?.timestamp < ADVISORY_LISTING_TTL_MINUTES * 60 * 1000
+            ? cached.files
+            : null;
+        if (!listing && requests < ADVISORY_MAX_REQUESTS) {
+          requests++;
+          listing = await this.fetchListing(listingYear);
+          if (listing)
+            listings[listingYear] = { files: listing, timestamp: now };
+        }
+        if (!Array.isArray(listing)) continue;
+
+        const files = listing
+          .filter((file) => /^mfsa\d+-\d+\.yml$/.test(file.name))
+          .sort(
+            (a, b) =>
+              parseInt(b.name.split("-")[1], 10) -
+              parseInt(a.name.split("-")[1], 10),
+          );
+
+        for (const file of files) {
+          if (reachedInstalled || scanned >= ADVISORY_MAX_FILES) break;
+
+          // Uncached advisories left over are fetched by the next checks
+          if (!cache[file.name]) {
+            capped = requests >= ADVISORY_MAX_REQUESTS;
+            if (capped) break;
+            requests++;
+          }
+          scanned++;
+
+          const advisory =
+            cache[file.name] ?? (await this.fetchAdvisory(file.download_url));
+          if (!advisory) continue;
+          seen[file.name] = advisory;
+
+          advisory.fixedIn
+            .filter((fixed) => fixed.product === product)
+            .forEach((fixed) => {
+              // Only fixes of the installed branch end the walk, advisories
+              // also list older ESR branches
+              if (
+                updateChecker.compareVersions(browserVersion, fixed.version) >=
+                0
+              ) {
+                if (parseInt(fixed.version, 10) === installedMajor)
+                  reachedInstalled = true;
+              } else if (
+                updateChecker.compareVersions(fixed.version, latestVersion) <= 0
+              ) {
+                Object.assign(cves, advisory.cves);
+              }
+            });
+        }
+
+        if (capped || reachedInstalled || scanned >= ADVISORY_MAX_FILES) break;
+      }
+
+      // Advisories are immutable, keep only those still within reach
+      await browser.storage.local.set({
+        [cacheKey]: seen,
+        [listingsKey]: Object.fromEntries(
+          [year, year - 1]
+            .filter((listingYear) => listings[listingYear])
+            .map((listingYear) => [listingYear, listings[listingYear]]),
+        ),
+      });
+
+      const summary = Object.fromEntries(
+        ADVISORY_IMPACTS.map((impact) => [impact, 0]),
+      );
+      Object.values(cves).forEach((impact) => {
+        if (impact in summary) summary[impact]++;
+      });
+      summary.total = Object.keys(cves).length;
+      // Advisories left unscanned may add fixes
+      summary.partial =
+        capped || (!reachedInstalled && scanned >= ADVISORY_MAX_FILES);
+
+      if (DEV_MODE)
+        console.debug(
+          `securityAdvisories.summarize(): ${product} ${browserVersion} to ${latestVersion}, scanned: ${scanned}, requests: ${requests}, summary:`,
+          summary,
+        );
+
+      return summary;
+    } catch (error) {
+      console.error("securityAdvisories.summarize():", error);
+      return null;
+    }
+  },
+};
@@ -19,56 +19,149 @@ let DEV_MODE = false;
 const ALARM_DEFAULT_MINUTES = 480; // 8 hours
 const ALARM_MINIMUM_MINUTES = DEV_MODE ? 1 : 240; // 4 hour minimum unless dev mode
 const ALARM_NAME = "moz-update-checker";
-const MOZ_UPDATE_CHECK_APIS = {
-  Firefox: "https://product-details.mozilla.org/1.0/firefox_versions.json",
-  LibreWolf:
-    "https://codeberg.org/api/v1/repos/librewolf/bsys6/releases?limit=1",
-  IceCat:
-    "https://api.github.com/repos/ryan-steed-usa/gnu-icecat-mirror/releases/latest",
+const ALARM_RETRY_NAME = "moz-update-checker-retry";
+const FORMAT_MISMATCH_MAX_LENGTH = 50000; // characters of raw payload kept
+const HISTORY_MAX_ENTRIES = 500;
+const IDLE_DETECTION_SECONDS = 300; // 5 minutes
+const REALERT_DEFAULT_MINUTES = 1440; // 24 hours
+const NIGHTLY_BUILD_ENDPOINT =
+  "https://archive.mozilla.org/pub/firefox/nightly/latest-mozilla-central/firefox-{version}.en-US.linux-x86_64.json";
+const NIGHTLY_MAX_AGE_DEFAULT_DAYS = 7;
+const NETWORK_RETRY_MINUTES = 15; // fallback while the online event cannot wake the page
+const RATE_LIMIT_DEFAULT_MINUTES = 60;
+const STALE_MAX_AGE_DEFAULT_MINUTES = 1440; // 24 hours
+const ESCALATION_NOTIF_DEFAULT_DAYS = 1;
+const ESCALATION_TAB_DEFAULT_DAYS = 7;
+const BADGE_COLORS = {
+  critical: "#b00000",
+  error: "#ff0000",
+  snoozed: "#6495ed",
+  warn: "#ffa500",
+};
+const ERROR_MESSAGES = {
+  offline: "errorOffline",
+  network: "errorNetwork",
+  timeout: "errorTimeout",
+  "http-status": "errorHttpStatus",
+  "rate-limited": "errorRateLimited",
+  "malformed-response": "errorMalformedResponse",
+  "source-format": "errorSourceFormat",
+  unsupported: "errorUnsupported",
+  "version-unparseable": "errorVersionUnparseable",
 };
-
-// Firefox support is implied
-const SUPPORTED_BROWSERS = ["LibreWolf", "IceCat"];
-
 const ICON_PATHS = {
   ok: "images/status-ok.svg",
   error: "images/status-error.svg",
+  critical: "images/status-critical.svg",
+  offline: "images/status-offline.svg",
   warn: "images/status-warn.svg",
+  snoozed: "images/status-snoozed.svg",
   unknown: "images/status-unknown.svg",
 };
+const SNOOZE_DURATIONS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
 
 // Constant functions
 const alarmScheduler = {
-  // Updates or creates a recurring alarm to poll for updates
-  update: async function (refresh = false) {
-    try {
-      // Fetch stored schedule value
-      const response = await browser.storage.sync.get("alarm_schedule");
+  // Clears the retry alarm unless a rate limited host still awaits its reset,
+  // hosts already answered for by a fallback are ignored
+  clearRetry: async function (answeredHosts = []) {
+    const { rate_limits } = await browser.storage.local.get("rate_limits");
+    const now = Date.now();
+    if (
+      Object.entries(rate_limits ?? {}).some(
+        ([host, until]) => !answeredHosts.includes(host) && until > now,
+      )
+    )
+      return;
 
-      let alarmScheduleValue = ALARM_DEFAULT_MINUTES;
+    if (DEV_MODE)
+      console.debug(
+        `alarmScheduler.clearRetry(): clearing alarm '${ALARM_RETRY_NAME}'`,
+      );
+    await browser.alarms.clear(ALARM_RETRY_NAME);
+  },
 
-      // Use stored value if present and valid
-      if (
-        typeof response.alarm_schedule !== "undefined" &&
-        response.alarm_schedule !== null
-      ) {
-        alarmScheduleValue = response.alarm_schedule;
-      } else {
-        console.warn("alarmScheduler(): alarm_schedule not set in storage.");
-      }
+  // Returns when the next scheduled check is due, persisted across suspends
+  nextDue: async function () {
+    const { next_check_due } =
+      await browser.storage.local.get("next_check_due");
+    return typeof next_check_due === "number" ? next_check_due : null;
+  },
 
-      let alarmMinutes = parseInt(alarmScheduleValue, 10);
+  // Returns the minutes between scheduled checks, 0 when disabled
+  periodMinutes: async function () {
+    // Fetch stored schedule value
+    const response = await getSettings("alarm_schedule");
 
-      // Validate parsed number
-      if (isNaN(alarmMinutes) || alarmMinutes < 0) {
-        console.warn(
-          "alarmScheduler(): invalid value:",
-          alarmScheduleValue,
-          "using default:",
-          ALARM_DEFAULT_MINUTES,
-        );
-        alarmMinutes = ALARM_DEFAULT_MINUTES;
-      }
+    let alarmScheduleValue = ALARM_DEFAULT_MINUTES;
+
+    // Use stored value if present and valid
+    if (
+      typeof response.alarm_schedule !== "undefined" &&
+      response.alarm_schedule !== null
+    ) {
+      alarmScheduleValue = response.alarm_schedule;
+    } else {
+      console.warn("alarmScheduler(): alarm_schedule not set in storage.");
+    }
+
+    let alarmMinutes = parseInt(alarmScheduleValue, 10);
+
+    // Validate parsed number
+    if (isNaN(alarmMinutes) || alarmMinutes < 0) {
+      console.warn(
+        "alarmScheduler(): invalid value:",
+        alarmScheduleValue,
+        "using default:",
+        ALARM_DEFAULT_MINUTES,
+      );
+      alarmMinutes = ALARM_DEFAULT_MINUTES;
+    }
+
+    return alarmMinutes;
+  },
+
+  // Moves the next due check one period past a completed check
+  recordCheck: async function () {
+    try {
+      const alarmMinutes = await this.periodMinutes();
+      await this.setNextDue(
+        alarmMinutes !== 0 ? Date.now() + alarmMinutes * 60 * 1000 : null,
+      );
+    } catch (error) {
+      console.error("alarmScheduler.recordCheck():", error);
+    }
+  },
+
+  // Schedules a one-off check, i.e. once a rate limit resets
+  retryAt: function (when) {
+    if (DEV_MODE)
+      console.debug(
+        `alarmScheduler.retryAt(): created alarm '${ALARM_RETRY_NAME}' for ${new Date(when)}`,
+      );
+    browser.alarms.create(ALARM_RETRY_NAME, { when: when });
+  },
+
+  // Persists the next due check, null when scheduled checks are disabled
+  setNextDue: async function (when) {
+    if (DEV_MODE)
+      console.debug(
+        `alarmScheduler.setNextDue(): next check due ${when === null ? "never" : new Date(when)}`,
+      );
+    if (when === null) {
+      await browser.storage.local.remove("next_check_due");
+    } else {
+      await browser.storage.local.set({ next_check_due: when });
+    }
+  },
+
+  // Updates or creates a recurring alarm to poll for updates
+  update: async function (refresh = false) {
+    try {
+      const alarmMinutes = await this.periodMinutes();
 
       // Check if the alarm already exists with correct settings
       const existingAlarm = await browser.alarms.get(ALARM_NAME);
@@ -80,6 +173,9 @@ const alarmScheduler = {
       ) {
         if (DEV_MODE)
           console.debug("alarmScheduler(): schedule already exists, skipping.");
+        // Seed the due time of alarms created before it was persisted
+        if ((await this.nextDue()) === null)
+          await this.setNextDue(existingAlarm.scheduledTime);
         return;
       }
 
@@ -97,6 +193,9 @@ const alarmScheduler = {
             `alarmScheduler(): created alarm '${ALARM_NAME}', refresh: ${refresh}, with period: ${alarmMinutes} minutes, next run ${scheduledTime}`,
             new Date(scheduledTime),
           );
+        await this.setNextDue(scheduledTime);
+      } else {
+        await this.setNextDue(null);
       }
     } catch (error) {
       console.error("alarmScheduler(): error updating alarm schedule:", error);
@@ -104,6 +203,58 @@ const alarmScheduler = {
   },
 };
 
+// Bounded log of completed checks, oldest first
+const checkHistory = {
+  add: async function (entry) {
+    const entries = await this.get();
+    entries.push(entry);
+    await browser.storage.local.set({
+      check_history: entries.slice(-HISTORY_MAX_ENTRIES),
+    });
+  },
+
+  get: async function () {
+    const result = await browser.storage.local.get("check_history");
+    return Array.isArray(result.check_history) ? result.check_history : [];
+  },
+};
+
+// Localized explanation and suggested fix for an error cause
+const describeError = (cause, rateLimitedUntil = null) => {
+  const key = ERROR_MESSAGES[cause];
+  if (!key)
+    return {
+      explanation: browser.i18n.getMessage("notificationContentErr"),
+      fix: browser.i18n.getMessage("errorUnknownFix"),
+    };
+
+  return {
+    explanation: browser.i18n.getMessage(
+      key,
+      cause === "rate-limited" ? formatTime(rateLimitedUntil) : undefined,
+    ),
+    fix: browser.i18n.getMessage(`${key}Fix`),
+  };
+};
+
+const formatAdvisorySummary = (advisories) =>
+  browser.i18n.getMessage(
+    advisories.partial ? "advisorySummaryPartial" : "advisorySummary",
+    [
+      String(advisories.total),
+      String(advisories.critical),
+      String(advisories.high),
+      String(advisories.moderate),
+      String(advisories.low),
+    ],
+  );
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
 const getIconConfig = (iconPath) => {
   const sizes = [16, 24, 32, 48, 64, 96, 128];
   const pathConfig = {};
@@ -113,6 +264,32 @@ const getIconConfig = (iconPath) => {
   return { path: pathConfig };
 };
 
+// Enterprise policy, empty unless the browser is managed
+const getManagedSettings = async () => {
+  try {
+    return (await browser.storage.managed.get()) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+// Reads settings with managed policy values taking precedence over sync storage
+const getSettings = async (keys = null) => {
+  let settings = {};
+  try {
+    settings = await browser.storage.sync.get(keys);
+  } catch (error) {
+    console.warn("getSettings(): failed to load sync storage:", error);
+  }
+
+  const managed = await getManagedSettings();
+  const requested = keys === null ? null : [].concat(keys);
+  Object.entries(managed).forEach(([key, value]) => {
+    if (requested === null || requested.includes(key)) settings[key] = value;
+  });
+  return settings;
+};
+
 const hideElement = (element) => {
   if (element) {
     element.classList.add("hidden");
@@ -187,12 +364,194 @@ const showElement = (element) => {
   }
 };
 
+// First detection of each version newer than the installed browser
+const pendingUpdates = {
+  clear: async function () {
+    await browser.storage.local.remove("pending_updates");
+  },
+
+  // Returns when a version was first detected, the release date is unknown
+  detected: async function (latestVersion) {
+    const detected = await this.get();
+    return detected[latestVersion] ?? null;
+  },
+
+  get: async function () {
+    const result = await browser.storage.local.get("pending_updates");
+    return result.pending_updates ?? {};
+  },
+
+  // Records a newly detected version and forgets versions already installed
+  record: async function (browserName, browserVersion, latestVersion) {
+    const detected = await this.get();
+    const provider = releaseProviders.get(browserName);
+    const normalize = provider?.normalizeVersion ?? ((version) => version);
+
+    if (!(latestVersion in detected)) detected[latestVersion] = Date.now();
+    Object.keys(detected).forEach((version) => {
+      if (
+        updateChecker.compareVersions(
+          normalize(browserVersion),
+          normalize(version),
+        ) >= 0
+      )
+        delete detected[version];
+    });
+
+    await browser.storage.local.set({ pending_updates: detected });
+    return detected;
+  },
+
+  // Returns when the oldest pending update was first detected
+  since: async function () {
+    const timestamps = Object.values(await this.get());
+    return timestamps.length > 0 ? Math.min(...timestamps) : null;
+  },
+};
+
+// Snoozes update alerts for the latest version
+const snoozeState = {
+  // Returns the snooze entry if it still applies to the latest version
+  active: async function (latestVersion) {
+    const entry = await this.get();
+    if (!entry || typeof latestVersion !== "string") return null;
+
+    // Newer versions and expired snoozes resume alerts
+    if (
+      entry.version !== latestVersion ||
+      (entry.until !== null && entry.until <= Date.now())
+    ) {
+      if (DEV_MODE)
+        console.debug(
+          `snoozeState.active(): snooze for ${entry.version} ended, latest: ${latestVersion}`,
+        );
+      await this.clear();
+      return null;
+    }
+
+    return entry;
+  },
+
+  clear: async function () {
+    await browser.storage.local.remove("snooze");
+  },
+
+  get: async function () {
+    const result = await browser.storage.local.get("snooze");
+    return result.snooze ?? null;
+  },
+
+  // Mode is a SNOOZE_DURATIONS key or "skip" for the exact latest version
+  set: async function (mode, latestVersion) {
+    if (mode !== "skip" && !SNOOZE_DURATIONS[mode]) {
+      console.error(`snoozeState.set(): invalid mode: ${mode}`);
+      return null;
+    }
+
+    const entry = {
+      mode: mode,
+      until: mode === "skip" ? null : Date.now() + SNOOZE_DURATIONS[mode],
+      version: latestVersion,
+    };
+    await browser.storage.local.set({ snooze: entry });
+    return entry;
+  },
+};
+
 const updateChecker = {
+  advisories: null,
   browserName: null,
   browserVersion: null,
+  buildStale: null,
+  buildTimestamp: null,
   error: null,
   lastChecked: null,
   latestVersion: null,
+  rateLimitedUntil: null,
+  source: null,
+  staleSince: null,
+
+  // Returns the organization minimum version while the browser is below it
+  checkMinimumVersion: async function (browserName, browserVersion) {
+    const { minimum_versions } = await getSettings("minimum_versions");
+    const minimumVersion = minimum_versions?.[browserName];
+    if (typeof minimumVersion !== "string" || minimumVersion === "")
+      return null;
+
+    const provider = releaseProviders.get(browserName);
+    const normalize = provider?.normalizeVersion ?? ((version) => version);
+    const comparison = this.compareVersions(
+      normalize(browserVersion),
+      normalize(minimumVersion),
+    );
+    if (DEV_MODE)
+      console.debug(
+        `updateChecker.checkMinimumVersion(): ${browserName} ${browserVersion}, minimum: ${minimumVersion}, comparison: ${comparison}`,
+      );
+
+    return comparison !== null && comparison < 0 ? minimumVersion : null;
+  },
+
+  // Compares the Nightly build ID with the newest published build
+  checkNightlyBuild: async function (buildID, latestVersion) {
+    const settings = await getSettings([
+      "nightly_build_endpoint",
+      "nightly_max_age",
+    ]);
+    const endpoint = (
+      settings.nightly_build_endpoint || NIGHTLY_BUILD_ENDPOINT
+    ).replace("{version}", latestVersion);
+    const maxAgeDays =
+      parseInt(settings.nightly_max_age, 10) || NIGHTLY_MAX_AGE_DEFAULT_DAYS;
+
+    const browserBuild = this.parseBuildID(buildID);
+    if (browserBuild === null) {
+      if (DEV_MODE)
+        console.debug(
+          `updateChecker.checkNightlyBuild(): cannot parse browser buildID: ${buildID}`,
+        );
+      return null;
+    }
+
+    const latestResponse = await this.fetchLatestVersion(
+      "FirefoxNightlyBuild",
+      endpoint,
+    );
+    const latestBuild = this.parseBuildID(latestResponse?.buildid);
+    if (latestBuild === null) {
+      console.warn(
+        `updateChecker.checkNightlyBuild(): cannot parse latest buildID from ${endpoint}`,
+      );
+      return { buildTimestamp: browserBuild, stale: null };
+    }
+
+    const stale = latestBuild - browserBuild > maxAgeDays * 24 * 60 * 60 * 1000;
+    if (DEV_MODE)
+      console.debug(
+        `updateChecker.checkNightlyBuild(): browser build: ${buildID}, latest build: ${latestResponse.buildid}, maxAgeDays: ${maxAgeDays}, stale: ${stale}`,
+      );
+
+    return { buildTimestamp: browserBuild, stale };
+  },
+
+  // Assigns an error cause to fetch failures
+  classifyError: function (error) {
+    if (Object.hasOwn(ERROR_MESSAGES, error?.cause)) return error;
+
+    let cause = null;
+    if (
+      error?.name === "AbortError" ||
+      error?.name === "TimeoutError" ||
+      error?.message === "Timeout"
+    )
+      cause = "timeout";
+    else if (error?.name === "SyntaxError") cause = "malformed-response";
+    else if (navigator.onLine === false) cause = "offline";
+    // Fetch rejects DNS, TLS, proxy and CORS failures alike
+    else if (error?.name === "TypeError") cause = "network";
+
+    return new Error(error?.message ?? String(error), { cause: cause });
+  },
 
   // Compares two semantic version strings with optional release suffix
   compareVersions: function (browserVersion, latestVersion) {
@@ -260,7 +619,6 @@ const updateChecker = {
     }
 
     // Compare suffix
-    if (lSuffix !== null && lSuffix.startsWith("gnu")) return 1; // IceCat
     if (bSuffix === null) return -1;
     if (lSuffix === null) return 1;
     const bSuffixNum = parseInt(bSuffix, 10);
@@ -306,6 +664,26 @@ const updateChecker = {
       return null;
     }
 
+    // Pre-release channels are identified by version suffix, i.e. 132.0b5 or 133.0a1
+    // Beta and Developer Edition share version numbers and cannot be told apart
+    if (/a\d+$/.test(browserVersion)) {
+      if (DEV_MODE)
+        console.debug(
+          "updateChecker.detectFirefoxRelease(): Firefox NIGHTLY detected",
+        );
+      return latestObject["FIREFOX_NIGHTLY"];
+    }
+    if (/b\d+$/.test(browserVersion)) {
+      if (DEV_MODE)
+        console.debug(
+          "updateChecker.detectFirefoxRelease(): Firefox BETA detected",
+        );
+      return (
+        latestObject["LATEST_FIREFOX_RELEASED_DEVEL_VERSION"] ||
+        latestObject["LATEST_FIREFOX_DEVEL_VERSION"]
+      );
+    }
+
     const latestVersion = latestObject["LATEST_FIREFOX_VERSION"];
     const esrVersion = stripESR(latestObject["FIREFOX_ESR"]);
     const esr115Version = stripESR(latestObject["FIREFOX_ESR115"]);
@@ -342,11 +720,68 @@ const updateChecker = {
     }
   },
 
+  // Attempt to detect Thunderbird release
+  detectThunderbirdRelease: async function (browserVersion, latestObject) {
+    // Helper function to strip esr string
+    const stripESR = (v) => v?.split("esr")[0];
+
+    // Validate input
+    if (typeof browserVersion !== "string" || browserVersion === "") {
+      if (DEV_MODE)
+        console.debug(
+          "updateChecker.detectThunderbirdRelease(): browserVersion input must be non-empty string",
+        );
+      return null;
+    }
+    if (
+      typeof latestObject !== "object" ||
+      latestObject === null ||
+      Object.keys(latestObject).length === 0
+    ) {
+      if (DEV_MODE)
+        console.debug(
+          "updateChecker.detectThunderbirdRelease(): latestObject input must be non-empty object",
+        );
+      return null;
+    }
+
+    const latestVersion = latestObject["LATEST_THUNDERBIRD_VERSION"];
+    const esrVersion = stripESR(latestObject["THUNDERBIRD_ESR"]);
+
+    // Compare browser version with LATEST and ESR versions
+    const cmpLatest = this.compareVersions(
+      stripESR(browserVersion),
+      latestVersion,
+    );
+    const cmpESR = this.compareVersions(stripESR(browserVersion), esrVersion);
+
+    if (cmpLatest <= 0 && cmpESR > 0) {
+      if (DEV_MODE)
+        console.debug(
+          "updateChecker.detectThunderbirdRelease(): Thunderbird LATEST detected",
+        );
+      return latestObject["LATEST_THUNDERBIRD_VERSION"];
+    } else if (cmpESR <= 0) {
+      if (DEV_MODE)
+        console.debug(
+          "updateChecker.detectThunderbirdRelease(): Thunderbird ESR detected",
+        );
+      return latestObject["THUNDERBIRD_ESR"];
+    } else {
+      await browser.storage.local.set({ ["is_unsupported"]: true });
+      throw new Error(
+        "updateChecker.detectThunderbirdRelease(): cannot detect supported Thunderbird version",
+        { cause: "unsupported" },
+      );
+    }
+  },
+
   // Fetches the latest release with timeout, caching (with default 5 minute TTL), and retry support
-  // Uses local storage for cross-context persistence
+  // Uses local storage for cross-context persistence, XML responses are returned as text
   fetchLatestVersion: async function (
     browserName,
     url,
+    format = "json",
     timeoutMs = 30000,
     maxRetries = 2,
     ttlMs = 5 * 60 * 1000,
@@ -371,6 +806,28 @@ const updateChecker = {
       return cachedEntry.data;
     }
 
+    // Revalidate the cached payload of the same endpoint, conditional headers
+    // need a CORS preflight unless the host is covered by a host permission
+    let headers = {};
+    const hasHostPermission = await browser.permissions.contains({
+      origins: [`${new URL(url).origin}/*`],
+    });
+    if (cachedEntry?.url === url && hasHostPermission) {
+      if (cachedEntry.etag) headers["If-None-Match"] = cachedEntry.etag;
+      if (cachedEntry.lastModified)
+        headers["If-Modified-Since"] = cachedEntry.lastModified;
+    }
+    let isConditional = Object.keys(headers).length > 0;
+
+    // Skip hosts until their rate limit resets
+    const host = new URL(url).host;
+    const { rate_limits } = await browser.storage.local.get("rate_limits");
+    if (rate_limits?.[host] > now) {
+      this.setRateLimited(host, rate_limits[host]);
+      await this.isRunning(false);
+      return null;
+    }
+
     let attempt = 0;
 
     while (attempt <= maxRetries) {
@@ -387,32 +844,78 @@ const updateChecker = {
           console.debug(
             `updateChecker.fetchLatestVersion(): fetching ${browserName} version from ${url}, attempt ${attempt + 1}`,
           );
+        // Bypass the HTTP cache so a 304 reaches the extension
         const response = await Promise.race([
-          fetch(url, { cache: "no-cache", signal: controller.signal }),
+          fetch(url, {
+            cache: isConditional ? "no-store" : "no-cache",
+            headers: headers,
+            signal: controller.signal,
+          }),
           timeoutPromise,
         ]);
 
+        // Unchanged since the cached response, confirm the cached data
+        if (response.status === 304 && isConditional) {
+          if (DEV_MODE)
+            console.debug(
+              `updateChecker.fetchLatestVersion(): ${browserName} not modified since ${new Date(cachedEntry.timestamp)}`,
+            );
+          await browser.storage.local.set({
+            [key]: { ...cachedEntry, timestamp: now },
+          });
+          await this.isRunning(false);
+          return cachedEntry.data;
+        }
+
+        // Retrying before the reset only extends the rate limit
+        const rateLimitedUntil = this.parseRateLimit(response);
+        if (rateLimitedUntil !== null) {
+          console.warn(
+            `updateChecker.fetchLatestVersion(): ${browserName} rate limited by ${host} until ${new Date(rateLimitedUntil)}`,
+          );
+          await browser.storage.local.set({
+            rate_limits: { ...rate_limits, [host]: rateLimitedUntil },
+          });
+          this.setRateLimited(host, rateLimitedUntil);
+          alarmScheduler.retryAt(rateLimitedUntil);
+          break;
+        }
+
         if (!response.ok) {
           console.warn(
             `updateChecker.fetchLatestVersion(): HTTP error! status: ${response.status} for ${browserName} URL: ${url}`,
           );
-          attempt++;
-          continue;
+          throw new Error(`HTTP ${response.status}`, { cause: "http-status" });
         }
 
-        const responseData = await response.json();
+        const responseData =
+          format === "xml" ? await response.text() : await response.json();
 
         // Save to storage cache
         await browser.storage.local.set({
           [key]: {
             data: responseData,
+            etag: response.headers.get("ETag"),
+            lastModified: response.headers.get("Last-Modified"),
             timestamp: now,
+            url: url,
           },
         });
 
         await this.isRunning(false);
         return responseData || null;
       } catch (error) {
+        // Retry a rejected conditional request once without its headers
+        if (isConditional && error?.name === "TypeError") {
+          console.warn(
+            `updateChecker.fetchLatestVersion(): ${browserName} conditional request failed, retrying unconditionally:`,
+            error,
+          );
+          headers = {};
+          isConditional = false;
+          continue;
+        }
+
         attempt++;
         console.warn(
           `updateChecker.fetchLatestVersion(): ${browserName} attempt ${attempt} failed:`,
@@ -420,7 +923,7 @@ const updateChecker = {
         );
 
         if (attempt > maxRetries) {
-          this.error = error;
+          this.error = this.classifyError(error);
           console.error(
             `updateChecker.fetchLatestVersion(): ${browserName} max retries exceeded.`,
             error,
@@ -442,6 +945,67 @@ const updateChecker = {
     return null;
   },
 
+  // Fetches the latest version from the first answering provider endpoint
+  fetchProviderVersion: async function (provider) {
+    // Policy endpoints replace the built-in ones, i.e. internal mirrors
+    const { custom_endpoints } = await getManagedSettings();
+    const managedUrls = custom_endpoints?.[provider.name];
+    const endpoints = Array.isArray(managedUrls)
+      ? managedUrls.map((url) => ({ url }))
+      : provider.endpoints;
+
+    for (const [index, endpoint] of endpoints.entries()) {
+      const format = endpoint.format ?? provider.format;
+      const parse = endpoint.parse ?? provider.parse;
+      const schema = endpoint.schema ?? provider.schema;
+      const isFallback = index > 0;
+      const hasFallback = index < endpoints.length - 1;
+
+      // Skip retries while fallback endpoints remain
+      const response = await this.fetchLatestVersion(
+        isFallback ? `${provider.name}_${index}` : provider.name,
+        endpoint.url,
+        format,
+        undefined,
+        hasFallback ? 0 : undefined,
+      );
+
+      // Compare only versions read from the expected response shape
+      const matches =
+        response && releaseProviders.matchesSchema(response, format, schema);
+      const version = matches
+        ? await parse(response, this.browserVersion)
+        : null;
+      if (
+        response &&
+        (!matches || (version && !releaseProviders.isVersion(version)))
+      )
+        await this.recordFormatMismatch(provider.name, endpoint.url, response);
+      else if (response && !version)
+        this.error = new Error(`No version found at ${endpoint.url}`, {
+          cause: "version-unparseable",
+        });
+      if (releaseProviders.isVersion(version)) {
+        // The rate limit retry is no longer needed once a fallback answers
+        if (isFallback && this.rateLimitedUntil !== null)
+          await alarmScheduler.clearRetry(
+            endpoints.slice(0, index).map(({ url }) => new URL(url).host),
+          );
+
+        // Forget failures of endpoints answered by a fallback
+        this.error = null;
+        this.rateLimitedUntil = null;
+        return { version, source: new URL(endpoint.url).host };
+      }
+
+      console.warn(
+        `updateChecker.fetchProviderVersion(): ${provider.name} endpoint ${endpoint.url} failed${hasFallback ? ", trying fallback" : ""}`,
+      );
+    }
+
+    return null;
+  },
+
   // Main method to check if the browser is up-to-date
   isLatest: async function (useCache = false) {
     // Local storage
@@ -455,40 +1019,44 @@ const updateChecker = {
     try {
       // Get browser version
       const running = await this.isRunning();
-      const { name, version } = await browser.runtime.getBrowserInfo();
+      const browserInfo = await browser.runtime.getBrowserInfo();
+      const { name, version, buildID } = browserInfo;
       this.browserName = name;
       this.browserVersion = version;
 
-      // Compensate for new LibreWolf extension "privacy feature"
-      // pref: librewolf.getBrowserInfo.setToFirefoxDefaults
-      if (
-        this.browserName === "Firefox" &&
-        this.browserVersion.split("-").length === 2
-      ) {
-        if (DEV_MODE)
-          console.debug(
-            "updateChecker.isLatest(): detected Firefox browserName with single dash in version string, presuming LibreWolf instead",
-          );
-        this.browserName = "LibreWolf";
-      }
+      // Detect release provider
+      await releaseProviders.loadCustomSources();
+      const provider = releaseProviders.detect(browserInfo);
+      if (provider) this.browserName = provider.name;
+
+      // Compare the installed release of browsers reporting only Gecko versions
+      if (provider?.installedVersion)
+        this.browserVersion =
+          (await provider.installedVersion(browserInfo, null)) ?? version;
 
       // Check if running
       if (running) return undefined;
 
-      // Handle browser url
-      const url = MOZ_UPDATE_CHECK_APIS[this.browserName]
-        ? MOZ_UPDATE_CHECK_APIS[this.browserName]
-        : "unsupported";
-      if (url === "unsupported") {
+      // Errors of earlier checks no longer apply
+      if (!useCache) {
+        this.error = null;
+        this.rateLimitedUntil = null;
+        this.staleSince = null;
+      }
+
+      if (!provider) {
         await browser.storage.local.set({ ["is_unsupported"]: true });
         throw new Error(`Unsupported browser: ${this.browserName}`, {
-          cause: url,
+          cause: "unsupported",
         });
       }
+      // Fetching would only exhaust the retries, defer until online
+      if (!useCache && navigator.onLine === false)
+        throw new Error("Browser is offline", { cause: "offline" });
 
       if (DEV_MODE)
         console.debug(
-          `updateChecker.isLatest(): detected browser: ${this.browserName} url: ${url}, useCache: ${useCache}`,
+          `updateChecker.isLatest(): detected browser: ${this.browserName} endpoints: ${provider.endpoints.length}, useCache: ${useCache}`,
         );
       if (DEV_MODE && useCache && stateEntry)
         console.debug(
@@ -496,66 +1064,128 @@ const updateChecker = {
         );
 
       // Fetch latest version
-      const latestResponse = useCache
+      const latest = useCache
         ? null
-        : await this.fetchLatestVersion(this.browserName, url);
+        : await this.fetchProviderVersion(provider);
 
-      if (!latestResponse && !useCache) {
+      if (!latest && !useCache) {
         this.isRunning(false);
+        return await this.restoreLastGood();
+      }
+
+      // Failed checks without a last good result keep only their cause
+      if (useCache && typeof stateEntry?.latest !== "string") {
+        if (stateEntry?.errorCause) {
+          this.error = new Error(stateEntry.errorMessage, {
+            cause: stateEntry.errorCause,
+          });
+          this.rateLimitedUntil = stateEntry.rateLimitedUntil ?? null;
+          this.lastChecked = stateEntry.timestamp;
+        }
         return null;
       }
 
-      if (DEV_MODE)
-        console.debug(
-          "updateChecker.isLatest(): latestResponse: ",
-          latestResponse,
-        );
+      if (DEV_MODE) console.debug("updateChecker.isLatest(): latest: ", latest);
 
       if (useCache && typeof stateEntry?.latest === "string") {
         this.latestVersion = stateEntry.latest;
         this.lastChecked = stateEntry.timestamp;
+        this.buildStale = stateEntry.buildStale ?? null;
+        this.buildTimestamp = stateEntry.buildTimestamp ?? null;
+        this.source = stateEntry.source ?? null;
+        this.advisories = stateEntry.advisories ?? null;
+        this.staleSince = stateEntry.staleSince ?? null;
+        if (this.staleSince !== null) {
+          this.error = new Error(stateEntry.errorMessage, {
+            cause: stateEntry.errorCause,
+          });
+          this.rateLimitedUntil = stateEntry.rateLimitedUntil ?? null;
+        }
       } else {
         this.lastChecked = now;
-        switch (this.browserName) {
-          case "Firefox":
-            this.latestVersion = await this.detectFirefoxRelease(
-              this.browserVersion,
-              latestResponse,
-            );
-            break;
-          case "LibreWolf":
-            this.latestVersion = latestResponse[0]?.tag_name;
-            break;
-          case "IceCat":
-            this.latestVersion = latestResponse?.tag_name;
-            break;
-        }
+        this.buildStale = null;
+        this.buildTimestamp = null;
+        this.advisories = null;
+        this.latestVersion = latest.version;
+        this.source = latest.source;
       }
 
+      // Builds first seen are taken as the latest release
+      if (!useCache && provider.installedVersion)
+        this.browserVersion = await provider.installedVersion(
+          browserInfo,
+          this.latestVersion,
+        );
+
       // Compare versions
       const comparison =
         useCache && stateEntry
           ? null
-          : this.compareVersions(this.browserVersion, this.latestVersion);
-      const result =
+          : this.compareVersions(
+              provider.normalizeVersion(this.browserVersion),
+              provider.normalizeVersion(this.latestVersion),
+            );
+      let result =
         useCache && stateEntry
           ? stateEntry.result
           : comparison === null
             ? null
             : comparison >= 0;
 
+      if (!useCache && comparison === null)
+        throw new Error(
+          `Cannot compare ${this.browserVersion} with ${this.latestVersion}`,
+          { cause: "version-unparseable" },
+        );
+
+      // Supplementary lookups must not fail the version check
+      const checkError = this.error;
+
+      // Matching versions may still be outdated builds
+      if (!useCache && result === true && provider.checkBuild) {
+        const build = await provider.checkBuild(
+          { name, version, buildID },
+          this.latestVersion,
+        );
+        if (build) {
+          this.buildStale = build.stale;
+          this.buildTimestamp = build.buildTimestamp;
+          if (build.stale === true) result = false;
+        }
+      }
+
+      // Summarize security fixes missing from the installed version
+      if (!useCache && result === false && provider.advisoryProduct) {
+        this.advisories = await securityAdvisories.summarize(
+          provider.advisoryProduct(this.latestVersion),
+          provider.normalizeVersion(this.browserVersion),
+          provider.normalizeVersion(this.latestVersion),
+        );
+      }
+      this.error = checkError;
+
       if (!useCache) {
         if (DEV_MODE)
           console.debug(
             `updateChecker.isLatest(): comparison: ${comparison}, result: ${result}`,
           );
 
-        // Store state
+        // Store state, the last good result outlives restarts for failed checks
+        const state = {
+          advisories: this.advisories,
+          buildStale: this.buildStale,
+          buildTimestamp: this.buildTimestamp,
+          latest: this.latestVersion,
+          result: result,
+          source: this.source,
+          timestamp: this.lastChecked,
+        };
         await browser.storage.local.set({
-          [key]: {
-            latest: this.latestVersion,
-            result: result,
-            timestamp: this.lastChecked,
+          [key]: state,
+          last_good_result: {
+            ...state,
+            browserName: this.browserName,
+            browserVersion: this.browserVersion,
           },
         });
       }
@@ -565,10 +1195,180 @@ const updateChecker = {
       this.error = error;
       this.isRunning(false);
       console.error("updateChecker.isLatest():", error);
+      return useCache || error.cause === "unsupported"
+        ? null
+        : await this.restoreLastGood();
+    }
+  },
+
+  // Converts a build ID (YYYYMMDDhhmmss, UTC) to a timestamp
+  parseBuildID: function (buildID) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(
+      String(buildID ?? ""),
+    );
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second] = match
+      .slice(1)
+      .map((part) => parseInt(part, 10));
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  },
+
+  // Returns when a rate limited response may be retried, otherwise null
+  parseRateLimit: function (response) {
+    const headers = response.headers;
+    const retryAfter = headers.get("Retry-After");
+    const remaining =
+      headers.get("X-RateLimit-Remaining") ??
+      headers.get("RateLimit-Remaining");
+    const reset =
+      headers.get("X-RateLimit-Reset") ?? headers.get("RateLimit-Reset");
+    const now = Date.now();
+
+    if (
+      response.status !== 429 &&
+      !(response.status === 403 && (remaining === "0" || retryAfter))
+    )
+      return null;
+
+    // Retry-After holds seconds or an HTTP date
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const when = isNaN(seconds)
+        ? Date.parse(retryAfter)
+        : now + seconds * 1000;
+      if (!isNaN(when)) return when;
+    }
+
+    // Reset holds epoch seconds, or seconds from now for small values
+    const resetSeconds = Number(reset);
+    if (reset && !isNaN(resetSeconds))
+      return resetSeconds > 1e9
+        ? resetSeconds * 1000
+        : now + resetSeconds * 1000;
+
+    return now + RATE_LIMIT_DEFAULT_MINUTES * 60 * 1000;
+  },
+
+  // Fails the check and keeps the unexpected payload for the diagnostics export
+  recordFormatMismatch: async function (browserName, url, response) {
+    console.warn(
+      `updateChecker.recordFormatMismatch(): unexpected ${browserName} response format from ${url}`,
+    );
+    this.error = new Error(`Source format changed at ${url}`, {
+      cause: "source-format",
+    });
+
+    try {
+      const payload =
+        typeof response === "string" ? response : JSON.stringify(response);
+      const { format_mismatches } =
+        await browser.storage.local.get("format_mismatches");
+      await browser.storage.local.set({
+        format_mismatches: {
+          ...format_mismatches,
+          [browserName]: {
+            payload: payload?.slice(0, FORMAT_MISMATCH_MAX_LENGTH) ?? null,
+            timestamp: Date.now(),
+            url: url,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("updateChecker.recordFormatMismatch():", error);
+    }
+  },
+
+  // Keeps the last good result through failed checks within the staleness limit
+  restoreLastGood: async function () {
+    try {
+      const { last_good_result: entry } =
+        await browser.storage.local.get("last_good_result");
+      const { stale_max_age } = await getSettings("stale_max_age");
+      const maxAgeMinutes = parseInt(stale_max_age, 10);
+      const maxAgeMs =
+        (isNaN(maxAgeMinutes) ? STALE_MAX_AGE_DEFAULT_MINUTES : maxAgeMinutes) *
+        60 *
+        1000;
+      const provider = releaseProviders.get(this.browserName);
+      if (!this.error) return null;
+
+      // Without a last good result only the failure is kept for the popup
+      const failure = {
+        is_latest: {
+          errorCause: this.error.cause ?? null,
+          errorMessage: this.error.message ?? null,
+          rateLimitedUntil: this.rateLimitedUntil,
+          result: null,
+          timestamp: Date.now(),
+        },
+      };
+      if (
+        !provider ||
+        entry?.browserName !== this.browserName ||
+        typeof entry.latest !== "string" ||
+        Date.now() - entry.timestamp >= maxAgeMs
+      ) {
+        await browser.storage.local.set(failure);
+        return null;
+      }
+
+      // The browser may have been updated since the last good result
+      const sameVersion = entry.browserVersion === this.browserVersion;
+      const comparison = this.compareVersions(
+        provider.normalizeVersion(this.browserVersion),
+        provider.normalizeVersion(entry.latest),
+      );
+      // Builds not yet matched to a release cannot be compared
+      if (comparison === null || (provider.installedVersion && !sameVersion)) {
+        await browser.storage.local.set(failure);
+        return null;
+      }
+      const result = sameVersion ? entry.result : comparison >= 0;
+
+      this.advisories = sameVersion ? (entry.advisories ?? null) : null;
+      this.buildStale = sameVersion ? (entry.buildStale ?? null) : null;
+      this.buildTimestamp = sameVersion ? (entry.buildTimestamp ?? null) : null;
+      this.lastChecked = entry.timestamp;
+      this.latestVersion = entry.latest;
+      this.source = entry.source ?? null;
+      this.staleSince = entry.timestamp;
+
+      if (DEV_MODE)
+        console.debug(
+          `updateChecker.restoreLastGood(): ${this.error?.cause} within the staleness limit, stale since ${new Date(entry.timestamp)}, result: ${result}`,
+        );
+
+      await browser.storage.local.set({
+        is_latest: {
+          advisories: this.advisories,
+          buildStale: this.buildStale,
+          buildTimestamp: this.buildTimestamp,
+          errorCause: this.error?.cause ?? null,
+          errorMessage: this.error?.message ?? null,
+          latest: this.latestVersion,
+          rateLimitedUntil: this.rateLimitedUntil,
+          result: result,
+          source: this.source,
+          staleSince: this.staleSince,
+          timestamp: this.lastChecked,
+        },
+      });
+      return result;
+    } catch (error) {
+      console.error("updateChecker.restoreLastGood():", error);
       return null;
     }
   },
 
+  // Fails the check until the host accepts requests again
+  setRateLimited: function (host, until) {
+    this.rateLimitedUntil = until;
+    this.error = new Error(`Rate limited by ${host} until ${new Date(until)}`, {
+      cause: "rate-limited",
+    });
+  },
+
   // Store and check status to share with extension and tab contexts
   isRunning: async function (setRunning = null, expiresMs = 2 * 60 * 1000) {
     // Local storage